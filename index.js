@@ -1,39 +1,68 @@
 import Archiver from "./lib/core.js";
-import Zip from "./lib/plugins/zip.js";
-import Tar from "./lib/plugins/tar.js";
-import Json from "./lib/plugins/json.js";
+import ArchiveReader from "./lib/reader.js";
+import extract, { restoreJsonBundle } from "./lib/extract.js";
+import { isFormatRegistered, registerFormat } from "./lib/formats.js";
 
-export { Archiver };
+export {
+  Archiver,
+  ArchiveReader,
+  extract,
+  isFormatRegistered,
+  registerFormat,
+  restoreJsonBundle,
+};
+
+/**
+ * Creates an archive of a registered format.
+ *
+ * @param  {String} format
+ * @param  {Object} [options] The core options and those of the format.
+ * @return {Archiver}
+ */
+export function createArchive(format, options) {
+  const archive = new Archiver(options);
+  archive._useFormat(format, options);
+  return archive;
+}
 
 export class ZipArchive extends Archiver {
   constructor(options) {
     super(options);
-    this._format = "zip";
-    this._module = new Zip(options);
-    this._supportsDirectory = true;
-    this._supportsSymlink = true;
-    this._modulePipe();
+    this._useFormat("zip", options);
   }
 }
 
 export class TarArchive extends Archiver {
   constructor(options) {
     super(options);
-    this._format = "tar";
-    this._module = new Tar(options);
-    this._supportsDirectory = true;
-    this._supportsSymlink = true;
-    this._modulePipe();
+    this._useFormat("tar", options);
+  }
+}
+
+export class CpioArchive extends Archiver {
+  constructor(options) {
+    super(options);
+    this._useFormat("cpio", options);
+  }
+}
+
+export class ArArchive extends Archiver {
+  constructor(options) {
+    super(options);
+    this._useFormat("ar", options);
+  }
+}
+
+export class DebArchive extends Archiver {
+  constructor(options) {
+    super(options);
+    this._useFormat("deb", options);
   }
 }
 
 export class JsonArchive extends Archiver {
   constructor(options) {
     super(options);
-    this._format = "json";
-    this._module = new Json(options);
-    this._supportsDirectory = true;
-    this._supportsSymlink = true;
-    this._modulePipe();
+    this._useFormat("json", options);
   }
 }
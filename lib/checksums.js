@@ -0,0 +1,139 @@
+import { createHash, getHashes } from "crypto";
+import { Transform } from "readable-stream";
+import { ArchiverError } from "./error.js";
+
+/**
+ * Entry Checksums
+ *
+ * Hashes the uncompressed contents of entries as they are appended and
+ * builds a manifest of the digests.
+ *
+ * @module checksums
+ * @license [MIT]{@link https://github.com/archiverjs/node-archiver/blob/master/LICENSE}
+ * @copyright (c) 2012-2014 Chris Talkington, contributors.
+ */
+export default class Checksums {
+  /**
+   * @constructor
+   * @param {(Boolean|String|String[])} algorithms
+   * @param {(Boolean|String)} [manifest] The manifest entry name, `true` for
+   * a `SHA256SUMS`-style name. Names ending with `.json` hold a JSON manifest.
+   */
+  constructor(algorithms, manifest) {
+    if (typeof algorithms === "string") {
+      algorithms = [algorithms];
+    } else if (!Array.isArray(algorithms) || algorithms.length === 0) {
+      algorithms = ["sha256"];
+    }
+    const supported = getHashes();
+    for (const algorithm of algorithms) {
+      if (!supported.includes(algorithm)) {
+        throw new ArchiverError("CHECKSUMALGORITHMINVALID", {
+          algorithm: algorithm,
+        });
+      }
+    }
+    this.algorithms = algorithms;
+    this.manifestName = null;
+    if (typeof manifest === "string" && manifest.length > 0) {
+      this.manifestName = manifest;
+    } else if (manifest) {
+      this.manifestName = algorithms[0].toUpperCase() + "SUMS";
+    }
+    this.entries = [];
+  }
+  /**
+   * Starts hashing an entry source. Streams are replaced by a stream that
+   * hashes the contents as the module reads them.
+   *
+   * @param  {(Buffer|Stream)} source
+   * @return {{source: (Buffer|Stream), digest: Function}}
+   */
+  hash(source) {
+    const hashes = this.algorithms.map(function (algorithm) {
+      return createHash(algorithm);
+    });
+    const algorithms = this.algorithms;
+    function digests() {
+      const result = {};
+      algorithms.forEach(function (algorithm, i) {
+        result[algorithm] = hashes[i].digest("hex");
+      });
+      return result;
+    }
+    if (Buffer.isBuffer(source)) {
+      hashes.forEach(function (hash) {
+        hash.update(source);
+      });
+      return {
+        source: source,
+        digest: function (callback) {
+          callback(null, digests());
+        },
+      };
+    }
+    const hashed = new Transform({
+      transform(chunk, encoding, callback) {
+        hashes.forEach(function (hash) {
+          hash.update(chunk);
+        });
+        callback(null, chunk);
+      },
+    });
+    source.on("error", function (err) {
+      hashed.destroy(err);
+    });
+    source.pipe(hashed);
+    return {
+      source: hashed,
+      digest: function (callback) {
+        if (hashed.writableFinished) {
+          callback(null, digests());
+          return;
+        }
+        // modules that store an entry without reading its source, like tar
+        // hardlinks and sparse files, leave the rest of the contents unread
+        hashed.on("error", callback);
+        hashed.on("end", function () {
+          callback(null, digests());
+        });
+        hashed.resume();
+      },
+    };
+  }
+  /**
+   * Records the digests of an entry for the manifest.
+   *
+   * @param  {String} name
+   * @param  {Object} checksums
+   * @return void
+   */
+  add(name, checksums) {
+    this.entries.push({ name: name, ...checksums });
+  }
+  /**
+   * Builds the manifest contents.
+   *
+   * @return {Buffer}
+   */
+  manifest() {
+    if (this.manifestName.toLowerCase().endsWith(".json")) {
+      return Buffer.from(JSON.stringify(this.entries, null, 2) + "\n");
+    }
+    const algorithm = this.algorithms[0];
+    return Buffer.from(
+      this.entries
+        .map(function (entry) {
+          // same escaping as coreutils for names with backslashes or newlines
+          if (/[\\\n]/.test(entry.name)) {
+            const name = entry.name
+              .replace(/\\/g, "\\\\")
+              .replace(/\n/g, "\\n");
+            return "\\" + entry[algorithm] + "  " + name + "\n";
+          }
+          return entry[algorithm] + "  " + entry.name + "\n";
+        })
+        .join(""),
+    );
+  }
+}
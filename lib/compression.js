@@ -0,0 +1,175 @@
+import { extname } from "path";
+import zlib from "zlib";
+
+/**
+ * Compression Policy
+ *
+ * Decides whether zip entries are stored or deflated based on their name,
+ * the magic bytes of their contents or a trial compression of a sample.
+ *
+ * @module compression
+ * @license [MIT]{@link https://github.com/archiverjs/node-archiver/blob/master/LICENSE}
+ * @copyright (c) 2012-2014 Chris Talkington, contributors.
+ */
+
+/**
+ * Extensions of formats that are already compressed.
+ */
+export const COMPRESSED_EXTENSIONS = [
+  ".7z",
+  ".aac",
+  ".apk",
+  ".avi",
+  ".avif",
+  ".br",
+  ".bz2",
+  ".docx",
+  ".flac",
+  ".gif",
+  ".gz",
+  ".heic",
+  ".jar",
+  ".jpeg",
+  ".jpg",
+  ".lz4",
+  ".m4a",
+  ".m4v",
+  ".mkv",
+  ".mov",
+  ".mp3",
+  ".mp4",
+  ".odp",
+  ".ods",
+  ".odt",
+  ".ogg",
+  ".opus",
+  ".png",
+  ".pptx",
+  ".rar",
+  ".tgz",
+  ".webm",
+  ".webp",
+  ".woff",
+  ".woff2",
+  ".xlsx",
+  ".xz",
+  ".zip",
+  ".zst",
+];
+
+// [offset, bytes] signatures of compressed formats
+const MAGIC_BYTES = [
+  [0, [0xff, 0xd8, 0xff]], // jpeg
+  [0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]], // png
+  [0, [0x47, 0x49, 0x46, 0x38]], // gif
+  [8, [0x57, 0x45, 0x42, 0x50]], // webp
+  [4, [0x66, 0x74, 0x79, 0x70]], // mp4, mov, heic and avif
+  [0, [0x1a, 0x45, 0xdf, 0xa3]], // matroska and webm
+  [0, [0x49, 0x44, 0x33]], // mp3
+  [0, [0x4f, 0x67, 0x67, 0x53]], // ogg
+  [0, [0x66, 0x4c, 0x61, 0x43]], // flac
+  [0, [0x77, 0x4f, 0x46, 0x46]], // woff
+  [0, [0x77, 0x4f, 0x46, 0x32]], // woff2
+  [0, [0x50, 0x4b, 0x03, 0x04]], // zip
+  [0, [0x1f, 0x8b]], // gzip
+  [0, [0x42, 0x5a, 0x68]], // bzip2
+  [0, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]], // xz
+  [0, [0x28, 0xb5, 0x2f, 0xfd]], // zstd
+  [0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]], // 7z
+  [0, [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07]], // rar
+];
+
+export default class CompressionPolicy {
+  /**
+   * @constructor
+   * @param {(Boolean|CompressionPolicyOptions)} options
+   */
+  constructor(options) {
+    options = {
+      extensions: COMPRESSED_EXTENSIONS,
+      magic: true,
+      trial: false,
+      trialSize: 64 * 1024,
+      ...(typeof options === "object" ? options : {}),
+    };
+    this.extensions = new Set(
+      options.extensions.map(function (extension) {
+        return extension.toLowerCase();
+      }),
+    );
+    this.magic = options.magic;
+    this.trial = options.trial;
+    this.trialSize = options.trialSize;
+  }
+  /**
+   * The number of leading bytes of the contents needed by `decide`, or 0
+   * when the name alone decides.
+   *
+   * @param  {String} name
+   * @return {Number}
+   */
+  headLength(name) {
+    if (this.extensions.has(extname(name).toLowerCase())) {
+      return 0;
+    } else if (this.trial) {
+      return Math.max(this.trialSize, 16);
+    }
+    return this.magic ? 16 : 0;
+  }
+  /**
+   * @param  {String} name
+   * @param  {Buffer} [head] The leading bytes of the contents.
+   * @return {CompressionDecision}
+   */
+  decide(name, head) {
+    if (this.extensions.has(extname(name).toLowerCase())) {
+      return { method: "store", reason: "extension" };
+    }
+    if (head && head.length === 0) {
+      return { method: "store", reason: "empty" };
+    }
+    if (head && this.magic && hasMagicBytes(head)) {
+      return { method: "store", reason: "magic" };
+    }
+    if (head && this.trial) {
+      const sample = head.subarray(0, this.trialSize);
+      const deflated = zlib.deflateRawSync(sample);
+      if (deflated.length > sample.length * this.trial) {
+        return { method: "store", reason: "trial" };
+      }
+      return { method: "deflate", reason: "trial" };
+    }
+    return { method: "deflate", reason: "default" };
+  }
+}
+
+function hasMagicBytes(head) {
+  return MAGIC_BYTES.some(function ([offset, bytes]) {
+    return (
+      head.length >= offset + bytes.length &&
+      bytes.every(function (byte, i) {
+        return head[offset + i] === byte;
+      })
+    );
+  });
+}
+
+/**
+ * @typedef {Object} CompressionPolicyOptions
+ * @global
+ * @property {String[]} [extensions] Extensions, including the dot, of entries
+ * to store. Defaults to common image, audio, video, font and archive formats.
+ * @property {Boolean} [magic=true] Stores entries whose contents start with
+ * the signature of a compressed format.
+ * @property {(Number|false)} [trial=false] Deflates a sample of each entry and
+ * stores it when the deflated sample is larger than this ratio of the sample.
+ * @property {Number} [trialSize=65536] The size of the trial sample in bytes.
+ */
+
+/**
+ * @typedef {Object} CompressionDecision
+ * @global
+ * @property {String} method `store` or `deflate`.
+ * @property {String} reason `override`, `extension`, `empty`, `magic`,
+ * `trial` or `default`.
+ */
@@ -1,4 +1,11 @@
-import { createReadStream, lstat, readlinkSync, Stats } from "fs";
+import {
+  access,
+  constants,
+  createReadStream,
+  lstat,
+  readlinkSync,
+  Stats,
+} from "fs";
 import { isStream } from "is-stream";
 import { readdirGlob } from "readdir-glob";
 import { Readable } from "lazystream";
@@ -8,20 +15,29 @@ import {
   relative as relativePath,
   resolve as resolvePath,
 } from "path";
+import Checksums from "./checksums.js";
 import { ArchiverError } from "./error.js";
+import { getFormat } from "./formats.js";
+import IgnoreRules from "./ignore.js";
 import { Transform } from "readable-stream";
 import {
   dateify,
+  deterministicDate,
+  deviceNumbers,
+  deviceType,
   normalizeInputSource,
   sanitizePath,
   trailingSlashIt,
 } from "./utils.js";
 const { ReaddirGlob } = readdirGlob;
 const win32 = process.platform === "win32";
+const ERROR_POLICIES = ["fail", "skip", "warn"];
 
 export default class Archiver extends Transform {
   _supportsDirectory = false;
   _supportsSymlink = false;
+  _supportsHardlink = false;
+  _supportsDevice = false;
 
   /**
    * @constructor
@@ -32,9 +48,12 @@ export default class Archiver extends Transform {
     options = {
       highWaterMark: 1024 * 1024,
       statConcurrency: 4,
+      progressInterval: 250,
+      progressBytes: 0,
       ...options,
     };
-    super(options);
+    // our signal aborts the archive instead of destroying the stream
+    super({ ...options, signal: undefined });
     this.options = options;
     this._format = false;
     this._module = false;
@@ -44,6 +63,11 @@ export default class Archiver extends Transform {
     this._entriesProcessedCount = 0;
     this._fsEntriesTotalBytes = 0;
     this._fsEntriesProcessedBytes = 0;
+    this._fsEntriesLinkedBytes = 0;
+    this._bytesRead = 0;
+    this._progressStart = null;
+    // when and at how many bytes read the last progress event fired
+    this._progressLast = { time: 0, bytesRead: 0, processedBytes: 0 };
     this._queue = queue(this._onQueueTask.bind(this), 1);
     this._queue.drain(this._onQueueDrain.bind(this));
     this._statQueue = queue(
@@ -57,8 +81,59 @@ export default class Archiver extends Transform {
       finalizing: false,
       finalized: false,
       modulePiped: false,
+      planning: false,
+      scanning: false,
+      scanned: false,
     };
     this._streams = [];
+    this._deterministic = false;
+    this._heldTasks = [];
+    this._sequence = 0;
+    this._globbers = new Set();
+    this._signals = new Map();
+    this._abortError = null;
+    this._rejectFinalize = null;
+    this._skipped = [];
+    this._plan = null;
+    this._prescan = Boolean(options.prescan);
+    this._resolveScan = null;
+    if (
+      options.onError !== undefined &&
+      typeof options.onError !== "function" &&
+      !ERROR_POLICIES.includes(options.onError)
+    ) {
+      throw new ArchiverError("ONERRORINVALID", { onError: options.onError });
+    }
+    for (const key of ["uid", "gid"]) {
+      if (
+        options[key] !== undefined &&
+        !(Number.isInteger(options[key]) && options[key] >= 0)
+      ) {
+        throw new ArchiverError("OWNERINVALID", { [key]: options[key] });
+      }
+    }
+    if (
+      options.mapOwner &&
+      typeof options.mapOwner !== "object" &&
+      typeof options.mapOwner !== "function"
+    ) {
+      throw new ArchiverError("OWNERMAPINVALID");
+    }
+    this._checksums = null;
+    if (options.checksums || options.checksumManifest) {
+      this._checksums = new Checksums(
+        options.checksums,
+        options.checksumManifest,
+      );
+    }
+    if (options.deterministic) {
+      this._deterministic = {
+        date: deterministicDate(options.deterministic.date),
+      };
+    }
+    if (options.signal) {
+      this._watchSignal(options.signal, this._onSignalAbort.bind(this));
+    }
   }
 
   /**
@@ -75,20 +150,55 @@ export default class Archiver extends Transform {
       this._shutdown();
     }
   }
+  /**
+   * Aborts the archive because of a signal, tearing down the in-flight entry
+   * and any directory walkers and rejecting the `finalize` promise.
+   *
+   * @private
+   * @param  {ArchiverError} err
+   * @return void
+   */
+  _abortWith(err) {
+    this._abortError = err;
+    this._abort();
+    this._globbers.forEach(function (globber) {
+      globber.stop();
+    });
+    if (this._task) {
+      this._destroyTaskSource(this._task);
+      this._shutdown();
+    }
+    if (this._rejectFinalize) {
+      this._rejectFinalize(err);
+    }
+  }
   /**
    * Internal helper for appending files.
    *
    * @private
    * @param  {String} filepath The source filepath.
    * @param  {EntryData} data The entry data.
+   * @param  {Number} [sequence] The sequence number of the originating call.
    * @return void
    */
-  _append(filepath, data) {
+  _append(filepath, data, sequence) {
     data = data || {};
     let task = {
       source: null,
       filepath: filepath,
+      sequence: typeof sequence === "number" ? sequence : this._sequence++,
+      signal: data.signal || null,
     };
+    delete data.signal;
+    if (task.signal) {
+      if (task.signal.aborted) {
+        if (data.callback) {
+          data.callback();
+        }
+        return;
+      }
+      this._watchSignal(task.signal);
+    }
     if (!data.name) {
       data.name = filepath;
     }
@@ -101,12 +211,73 @@ export default class Archiver extends Transform {
         if (data.stats.size) {
           this._fsEntriesTotalBytes += data.stats.size;
         }
-        this._queue.push(task);
+        this._pushTask(task);
+      } else if (data.callback) {
+        // resume the directory walker of an entry that was left out
+        data.callback();
       }
     } else {
       this._statQueue.push(task);
     }
   }
+  /**
+   * Destroys the source of a task along with the stream it wraps.
+   *
+   * @private
+   * @param  {Object} task
+   * @return void
+   */
+  _destroyTaskSource(task) {
+    if (task.sourceStream) {
+      task.sourceStream.destroy();
+    }
+    if (isStream(task.source) && typeof task.source.destroy === "function") {
+      task.source.destroy();
+    }
+  }
+  /**
+   * Applies the `onError` policy to an entry that can't be archived. Skipped
+   * entries are added to the report, while failing aborts the archive.
+   *
+   * Without `onError`, the `fallback` decision is used: `warn`, or `error` to
+   * emit the error and carry on with the next entry.
+   *
+   * @private
+   * @fires  Archiver#warning
+   * @param  {ArchiverError} err
+   * @param  {Object} entry The `name` and `path` of the entry.
+   * @param  {String} fallback
+   * @return {Boolean} Whether the entry was skipped.
+   */
+  _onEntryError(err, entry, fallback) {
+    let decision = this.options.onError || fallback;
+    if (typeof decision === "function") {
+      decision = decision(err, entry);
+    }
+    if (decision === "skip" || decision === "warn") {
+      this._skipped.push({
+        code: err.code,
+        name: entry.name,
+        path: entry.path,
+        message:
+          err.data && err.data.cause ? err.data.cause.message : err.message,
+      });
+      if (decision === "warn") {
+        /**
+         * @event Archiver#warning
+         * @type {ErrorData}
+         */
+        this.emit("warning", err);
+      }
+      return true;
+    }
+    this.emit("error", err);
+    if (decision !== "error") {
+      this._abortWith(err);
+      this._shutdown();
+    }
+    return false;
+  }
   /**
    * Internal logic for `finalize`.
    *
@@ -122,10 +293,35 @@ export default class Archiver extends Transform {
       return;
     }
     this._state.finalizing = true;
-    this._moduleFinalize();
+    if (this._state.planning) {
+      this._finishPlan();
+    } else {
+      this._moduleFinalize();
+    }
     this._state.finalizing = false;
     this._state.finalized = true;
   }
+  /**
+   * Resolves the `plan` promise once every entry has been resolved, ending
+   * the archive without output.
+   *
+   * @private
+   * @return void
+   */
+  _finishPlan() {
+    const plan = this._plan;
+    const totals = { entries: plan.entries.length, bytes: 0, types: {} };
+    for (const entry of plan.entries) {
+      totals.bytes += entry.size || 0;
+      totals.types[entry.type] = (totals.types[entry.type] || 0) + 1;
+    }
+    this._shutdown();
+    plan.resolve({
+      entries: plan.entries,
+      totals: totals,
+      skipped: this.report().skipped,
+    });
+  }
   /**
    * Checks the various state variables to determine if we can `finalize`.
    *
@@ -146,11 +342,123 @@ export default class Archiver extends Transform {
       this._queue.idle() &&
       this._statQueue.idle()
     ) {
+      if (this._prescan && !this._state.scanned) {
+        this._emitScanned();
+      }
+      if (this._state.scanning) {
+        return false;
+      }
+      if (this._heldTasks.length > 0) {
+        this._releaseHeldTasks();
+        return false;
+      }
+      if (this._checksums && this._checksums.manifestName) {
+        this._queueChecksumManifest();
+        return false;
+      }
       this._finalize();
       return true;
     }
     return false;
   }
+  /**
+   * Emits the totals of every entry once discovery completes, before any of
+   * them is written.
+   *
+   * @private
+   * @fires  Archiver#scanned
+   * @return void
+   */
+  _emitScanned() {
+    this._state.scanned = true;
+    // the checksum manifest is queued last, once the entries are written
+    const manifest = this._checksums && this._checksums.manifestName ? 1 : 0;
+    /**
+     * @event Archiver#scanned
+     * @type {ScanData}
+     */
+    const scanned = {
+      entries: {
+        total: this._entriesCount + manifest,
+      },
+      fs: {
+        totalBytes: this._fsEntriesTotalBytes,
+      },
+    };
+    this.emit("scanned", scanned);
+    if (this._resolveScan) {
+      this._resolveScan(scanned);
+      this._resolveScan = null;
+    }
+  }
+  /**
+   * Queues the checksum manifest as the final entry once every other entry
+   * has been appended.
+   *
+   * @private
+   * @return void
+   */
+  _queueChecksumManifest() {
+    const checksums = this._checksums;
+    const data = this._normalizeEntryData({ name: checksums.manifestName });
+    data.sourceType = "buffer";
+    // nothing is hashed when planning, so the manifest size isn't known
+    const source = this._state.planning ? null : checksums.manifest();
+    // the manifest doesn't list itself
+    checksums.manifestName = null;
+    this._entriesCount++;
+    this._queue.push({
+      data: data,
+      source: source,
+      sequence: this._sequence++,
+    });
+  }
+  /**
+   * Sets the ownership of an entry from its own data, then its `stats` when
+   * `preserveOwner` is set, then the archive options, and passes the result
+   * through `mapOwner`.
+   *
+   * @private
+   * @param  {EntryData} data
+   * @return void
+   */
+  _applyOwner(data) {
+    const options = this.options;
+    const stats = options.preserveOwner && data.stats;
+    for (const key of ["uid", "gid"]) {
+      if (typeof data[key] === "number") {
+        continue;
+      }
+      if (stats && typeof stats[key] === "number") {
+        data[key] = stats[key];
+      } else if (typeof options[key] === "number") {
+        data[key] = options[key];
+      }
+    }
+    for (const key of ["uname", "gname"]) {
+      if (typeof data[key] !== "string" && typeof options[key] === "string") {
+        data[key] = options[key];
+      }
+    }
+    const map = options.mapOwner;
+    if (typeof map === "function") {
+      const owner = map(
+        { uid: data.uid, gid: data.gid, uname: data.uname, gname: data.gname },
+        data,
+      );
+      for (const key of ["uid", "gid", "uname", "gname"]) {
+        if (owner && owner[key] !== undefined) {
+          data[key] = owner[key];
+        }
+      }
+    } else if (map) {
+      for (const key of ["uid", "gid"]) {
+        if (typeof data[key] === "number" && Object.hasOwn(map, data[key])) {
+          data[key] = map[data[key]];
+        }
+      }
+    }
+  }
   /**
    * Appends an entry to the module.
    *
@@ -166,6 +474,17 @@ export default class Archiver extends Transform {
       callback();
       return;
     }
+    if (this._state.planning) {
+      this._task = null;
+      this._planEntry(source, data);
+      setImmediate(callback);
+      return;
+    }
+    let checksum = null;
+    if (this._checksums && data.type === "file") {
+      checksum = this._checksums.hash(source);
+      source = checksum.source;
+    }
     this._module.append(
       source,
       data,
@@ -176,39 +495,228 @@ export default class Archiver extends Transform {
           return;
         }
         if (err) {
-          this.emit("error", err);
+          this._onModuleAppendError(err, data);
           setImmediate(callback);
           return;
         }
-        /**
-         * Fires when the entry's input has been processed and appended to the archive.
-         *
-         * @event Archiver#entry
-         * @type {EntryData}
-         */
-        this.emit("entry", data);
-        this._entriesProcessedCount++;
-        if (data.stats && data.stats.size) {
-          this._fsEntriesProcessedBytes += data.stats.size;
+        if (!checksum) {
+          this._onModuleAppended(data, callback);
+          return;
         }
-        /**
-         * @event Archiver#progress
-         * @type {ProgressData}
-         */
-        this.emit("progress", {
-          entries: {
-            total: this._entriesCount,
-            processed: this._entriesProcessedCount,
-          },
-          fs: {
-            totalBytes: this._fsEntriesTotalBytes,
-            processedBytes: this._fsEntriesProcessedBytes,
-          },
-        });
-        setImmediate(callback);
+        checksum.digest(
+          function (err, checksums) {
+            if (this._state.aborted) {
+              this._shutdown();
+              return;
+            }
+            if (err) {
+              this._onModuleAppendError(err, data);
+              setImmediate(callback);
+              return;
+            }
+            data.checksums = checksums;
+            this._checksums.add(data.name, checksums);
+            this._onModuleAppended(data, callback);
+          }.bind(this),
+        );
       }.bind(this),
     );
   }
+  /**
+   * Records an entry in the plan instead of appending it to the module.
+   *
+   * @private
+   * @param  {(Buffer|Stream|null)} source
+   * @param  {EntryData} data
+   * @return void
+   */
+  _planEntry(source, data) {
+    const entry = {
+      name: data.name,
+      type: data.type,
+      mode: data.mode,
+      date: data.date,
+      size: 0,
+    };
+    if (data.type === "file") {
+      // appended streams are only measured as they are written
+      entry.size = null;
+      if (data.stats) {
+        entry.size = data.stats.size;
+      } else if (Buffer.isBuffer(source)) {
+        entry.size = source.length;
+      }
+    }
+    for (const key of [
+      "linkname",
+      "sourcePath",
+      "uid",
+      "gid",
+      "uname",
+      "gname",
+    ]) {
+      if (data[key] !== undefined && data[key] !== null) {
+        entry[key] = data[key];
+      }
+    }
+    this._plan.entries.push(entry);
+  }
+  /**
+   * Applies the `onError` policy to an entry the module failed to append,
+   * taking a skipped entry out of the progress totals.
+   *
+   * Without a policy the archive is aborted: the error destroys the engines
+   * of formats like tar, which can't take any further entries.
+   *
+   * @private
+   * @param  {Error} err
+   * @param  {EntryData} data
+   * @return void
+   */
+  _onModuleAppendError(err, data) {
+    if (!(err instanceof ArchiverError)) {
+      err = new ArchiverError("ENTRYREADFAILED", {
+        name: data.name,
+        path: data.sourcePath,
+        cause: err,
+      });
+    }
+    const entry = { name: data.name, path: data.sourcePath };
+    if (this._onEntryError(err, entry, "fail")) {
+      this._entriesCount--;
+      if (data.stats && data.stats.size) {
+        this._fsEntriesTotalBytes -= data.stats.size;
+      }
+    }
+  }
+  /**
+   * Emits the `entry` and `progress` events of an appended entry.
+   *
+   * @private
+   * @fires  Archiver#entry
+   * @fires  Archiver#progress
+   * @param  {EntryData} data
+   * @param  {Function} callback
+   * @return void
+   */
+  _onModuleAppended(data, callback) {
+    /**
+     * Fires when the entry's input has been processed and appended to the archive.
+     *
+     * @event Archiver#entry
+     * @type {EntryData}
+     */
+    this.emit("entry", data);
+    this._entriesProcessedCount++;
+    if (data.stats && data.stats.size && data.type === "link") {
+      // hardlinked entries don't write their contents again
+      this._fsEntriesTotalBytes -= data.stats.size;
+      this._fsEntriesLinkedBytes += data.stats.size;
+    } else if (data.stats && data.stats.size) {
+      this._fsEntriesProcessedBytes += data.stats.size;
+    }
+    this._emitProgress();
+    setImmediate(callback);
+  }
+  /**
+   * Counts the bytes read from the source stream of a task, emitting
+   * `progress` as they are read once `progressInterval` milliseconds have
+   * passed or `progressBytes` bytes have been read since the last one.
+   *
+   * The stream is already piped, so listening to its data doesn't change how
+   * it flows.
+   *
+   * @private
+   * @param  {Object} task
+   * @param  {Stream} stream
+   * @return void
+   */
+  _countSourceBytes(task, stream) {
+    task.bytesRead = 0;
+    stream.on("data", (chunk) => {
+      task.bytesRead += chunk.length;
+      this._bytesRead += chunk.length;
+      if (this._task !== task) {
+        return;
+      }
+      const last = this._progressLast;
+      const interval = this.options.progressInterval;
+      const bytes = this.options.progressBytes;
+      if (
+        (interval > 0 && Date.now() - last.time >= interval) ||
+        (bytes > 0 && this._bytesRead - last.bytesRead >= bytes)
+      ) {
+        this._emitProgress();
+      }
+    });
+  }
+  /**
+   * Emits the progress of the archive.
+   *
+   * @private
+   * @fires  Archiver#progress
+   * @return void
+   */
+  _emitProgress() {
+    const now = Date.now();
+    const last = this._progressLast;
+    const task = this._task;
+    let processedBytes = this._fsEntriesProcessedBytes;
+    let entry = null;
+    if (task) {
+      const stats = task.data.stats;
+      entry = {
+        name: task.data.name,
+        processedBytes: task.bytesRead || 0,
+        totalBytes: stats ? stats.size : null,
+      };
+      if (stats) {
+        processedBytes += Math.min(entry.processedBytes, stats.size);
+      }
+    }
+    // the bytes of the entry in progress aren't counted until it is appended
+    processedBytes = Math.max(processedBytes, last.processedBytes);
+    const elapsed = (now - (this._progressStart || now)) / 1000;
+    const throughput = elapsed > 0 ? this._bytesRead / elapsed : 0;
+    const written = this.pointer();
+    /**
+     * @event Archiver#progress
+     * @type {ProgressData}
+     */
+    const progress = {
+      entries: {
+        total: this._entriesCount,
+        processed: this._entriesProcessedCount,
+      },
+      fs: {
+        totalBytes: this._fsEntriesTotalBytes,
+        processedBytes: processedBytes,
+        linkedBytes: this._fsEntriesLinkedBytes,
+      },
+      entry: entry,
+      bytes: {
+        read: this._bytesRead,
+        written: written,
+      },
+      ratio: this._bytesRead > 0 ? written / this._bytesRead : null,
+      throughput: throughput,
+      eta:
+        throughput > 0
+          ? Math.max(this._fsEntriesTotalBytes - processedBytes, 0) / throughput
+          : null,
+      discoveryComplete:
+        this._state.finalize && this._pending === 0 && this._statQueue.idle(),
+    };
+    const volume =
+      typeof this._module.volume === "function" && this._module.volume();
+    if (volume) {
+      progress.volume = { ...volume, total: written };
+    }
+    last.time = now;
+    last.bytesRead = this._bytesRead;
+    last.processedBytes = processedBytes;
+    this.emit("progress", progress);
+  }
   /**
    * Finalizes the module.
    *
@@ -224,6 +732,45 @@ export default class Archiver extends Transform {
       this.emit("error", new ArchiverError("NOENDMETHOD"));
     }
   }
+  /**
+   * Sets the module and the entries it supports, then pipes it.
+   *
+   * @private
+   * @param  {Object} module
+   * @param  {FormatCapabilities} capabilities
+   * @return void
+   */
+  _setModule(module, capabilities) {
+    if (this._module) {
+      throw new ArchiverError("MODULESET");
+    }
+    this._module = module;
+    this._supportsDirectory = capabilities.directory;
+    this._supportsSymlink = capabilities.symlink;
+    this._supportsHardlink = capabilities.hardlink;
+    this._supportsDevice = capabilities.special;
+    this._modulePipe();
+    if (typeof module.volume === "function" && module.volume()) {
+      // split archives are written to volumes, so the output may go unread
+      this.resume();
+    }
+  }
+  /**
+   * Sets the format and creates its module from the registry.
+   *
+   * @private
+   * @param  {String} format
+   * @param  {Object} options The options passed to the module.
+   * @return void
+   */
+  _useFormat(format, options) {
+    if (this._format) {
+      throw new ArchiverError("FORMATSET", { format: this._format });
+    }
+    const { PluginClass, capabilities } = getFormat(format);
+    this._format = format;
+    this._setModule(new PluginClass(options), capabilities);
+  }
   /**
    * Pipes the module to our internal stream with error bubbling.
    *
@@ -288,6 +835,17 @@ export default class Archiver extends Transform {
       } else {
         data.mode &= 4095;
       }
+    } else if (this._deterministic && data.mode === null) {
+      // keep only the executable bit of fs modes so umask and platform don't leak in
+      if (isDir) {
+        data.mode = 493;
+      } else if (data.type === "symlink") {
+        data.mode = 511;
+      } else if (data.stats && !win32 && data.stats.mode & 73) {
+        data.mode = 493;
+      } else {
+        data.mode = 420;
+      }
     } else if (data.stats && data.mode === null) {
       if (win32) {
         data.mode = data.stats.mode & 511;
@@ -301,6 +859,17 @@ export default class Archiver extends Transform {
     } else if (data.mode === null) {
       data.mode = isDir ? 493 : 420;
     }
+    this._applyOwner(data);
+    if (this._deterministic) {
+      // pin fs mtimes, the current time fallback and ownership
+      if (data.date === null) {
+        data.date = this._deterministic.date;
+      }
+      data.uid = typeof data.uid === "number" ? data.uid : 0;
+      data.gid = typeof data.gid === "number" ? data.gid : 0;
+      data.uname = typeof data.uname === "string" ? data.uname : "";
+      data.gname = typeof data.gname === "string" ? data.gname : "";
+    }
     if (data.stats && data.date === null) {
       data.date = data.stats.mtime;
     } else {
@@ -316,11 +885,19 @@ export default class Archiver extends Transform {
    * @return void
    */
   _onModuleError(err) {
+    // the engine is destroyed with the error that aborted the archive
+    if (err === this._abortError) {
+      return;
+    }
     /**
      * @event Archiver#error
      * @type {ErrorData}
      */
     this.emit("error", err);
+    // the module can't take any more entries
+    if (!this._state.aborted) {
+      this._abortWith(err);
+    }
   }
   /**
    * Checks the various state variables after queue has drained to determine if
@@ -330,21 +907,7 @@ export default class Archiver extends Transform {
    * @return void
    */
   _onQueueDrain() {
-    if (
-      this._state.finalizing ||
-      this._state.finalized ||
-      this._state.aborted
-    ) {
-      return;
-    }
-    if (
-      this._state.finalize &&
-      this._pending === 0 &&
-      this._queue.idle() &&
-      this._statQueue.idle()
-    ) {
-      this._finalize();
-    }
+    this._maybeFinalize();
   }
   /**
    * Appends each queue task to the module.
@@ -369,8 +932,133 @@ export default class Archiver extends Transform {
       fullCallback();
       return;
     }
+    if (task.signal && task.signal.aborted) {
+      this._entriesCount--;
+      fullCallback();
+      return;
+    }
+    if (task.sourceError) {
+      this._onModuleAppendError(task.sourceError, task.data);
+      fullCallback();
+      return;
+    }
+    if (!task.filepath || task.data.type !== "file") {
+      this._startTask(task, fullCallback);
+      return;
+    }
+    // unreadable files are caught before the module writes any of the entry
+    access(
+      task.filepath,
+      constants.R_OK,
+      function (err) {
+        if (this._state.aborted) {
+          this._shutdown();
+          return;
+        }
+        if (err) {
+          this._onModuleAppendError(err, task.data);
+          fullCallback();
+          return;
+        }
+        this._startTask(task, fullCallback);
+      }.bind(this),
+    );
+  }
+  /**
+   * Appends a task to the module as the entry in progress.
+   *
+   * @private
+   * @param  {Object} task
+   * @param  {Function} callback
+   * @return void
+   */
+  _startTask(task, callback) {
+    if (this._progressStart === null) {
+      this._progressStart = Date.now();
+      this._progressLast.time = this._progressStart;
+    }
+    if (Buffer.isBuffer(task.source)) {
+      this._bytesRead += task.source.length;
+    }
     this._task = task;
-    this._moduleAppend(task.source, task.data, fullCallback);
+    this._moduleAppend(task.source, task.data, callback);
+  }
+  /**
+   * Drops the pending entries appended with an aborted per-entry `signal` and
+   * stops their directory walkers. An entry that is already being written
+   * can't be taken back out of the archive, so it aborts the whole archive.
+   *
+   * @private
+   * @param  {AbortSignal} signal
+   * @return void
+   */
+  _onEntrySignalAbort(signal) {
+    if (this._state.aborted || this._state.finalized) {
+      return;
+    }
+    const self = this;
+    function matches(task) {
+      return task.signal === signal;
+    }
+    function drop(task) {
+      self._entriesCount--;
+      if (task.data.stats && task.data.stats.size) {
+        self._fsEntriesTotalBytes -= task.data.stats.size;
+      }
+      if (task.data.callback) {
+        task.data.callback();
+      }
+    }
+    this._globbers.forEach(function (globber) {
+      if (globber.signal === signal) {
+        globber.stop();
+      }
+    });
+    this._queue.remove(function (item) {
+      if (matches(item.data)) {
+        drop(item.data);
+        return true;
+      }
+      return false;
+    });
+    this._statQueue.remove(function (item) {
+      if (matches(item.data)) {
+        self._entriesCount--;
+        return true;
+      }
+      return false;
+    });
+    this._heldTasks = this._heldTasks.filter(function (task) {
+      if (matches(task)) {
+        drop(task);
+        return false;
+      }
+      return true;
+    });
+    if (this._task && matches(this._task)) {
+      const err = new ArchiverError("ABORTED", {
+        name: this._task.data.name,
+        reason: signal.reason,
+      });
+      this.emit("error", err);
+      this._abortWith(err);
+      return;
+    }
+    this._maybeFinalize();
+  }
+  /**
+   * Aborts the archive when the `signal` option is aborted.
+   *
+   * @private
+   * @return void
+   */
+  _onSignalAbort() {
+    if (this._state.aborted || this._state.finalized) {
+      return;
+    }
+    this._abortWith(
+      new ArchiverError("ABORTED", { reason: this.options.signal.reason }),
+    );
   }
   /**
    * Performs a file stat and reinjects the task back into the queue.
@@ -396,13 +1084,22 @@ export default class Archiver extends Transform {
           setImmediate(callback);
           return;
         }
+        if (task.signal && task.signal.aborted) {
+          this._entriesCount--;
+          setImmediate(callback);
+          return;
+        }
         if (err) {
           this._entriesCount--;
-          /**
-           * @event Archiver#warning
-           * @type {ErrorData}
-           */
-          this.emit("warning", err);
+          this._onEntryError(
+            new ArchiverError("ENTRYSTATFAILED", {
+              name: task.data.name,
+              path: task.filepath,
+              cause: err,
+            }),
+            { name: task.data.name, path: task.filepath },
+            "warn",
+          );
           setImmediate(callback);
           return;
         }
@@ -411,12 +1108,73 @@ export default class Archiver extends Transform {
           if (stats.size) {
             this._fsEntriesTotalBytes += stats.size;
           }
-          this._queue.push(task);
+          this._pushTask(task);
         }
         setImmediate(callback);
       }.bind(this),
     );
   }
+  /**
+   * Pushes a task on to the module queue, or holds it back when the archive
+   * needs to know every entry before writing (eg. deterministic ordering or a
+   * pre-scan).
+   *
+   * @private
+   * @param  {Object} task
+   * @return void
+   */
+  _pushTask(task) {
+    if (this._deterministic || this._prescan) {
+      this._holdTask(task);
+      return;
+    }
+    this._queue.push(task);
+  }
+  /**
+   * Holds a task back until discovery completes.
+   *
+   * @private
+   * @param  {Object} task
+   * @return void
+   */
+  _holdTask(task) {
+    // a held entry doesn't keep its directory walker paused
+    if (task.data.callback) {
+      const resume = task.data.callback;
+      delete task.data.callback;
+      resume();
+    }
+    this._heldTasks.push(task);
+  }
+  /**
+   * Releases the held tasks on to the module queue. Deterministic archives
+   * order them by the call that appended them and then by entry name.
+   *
+   * @private
+   * @return void
+   */
+  _releaseHeldTasks() {
+    const tasks = this._heldTasks;
+    this._heldTasks = [];
+    if (!this._deterministic) {
+      tasks.forEach(function (task) {
+        this._queue.push(task);
+      }, this);
+      return;
+    }
+    tasks.sort(function (a, b) {
+      if (a.sequence !== b.sequence) {
+        return a.sequence - b.sequence;
+      }
+      if (a.data.name === b.data.name) {
+        return 0;
+      }
+      return a.data.name < b.data.name ? -1 : 1;
+    });
+    tasks.forEach(function (task) {
+      this._queue.push(task);
+    }, this);
+  }
   /**
    * Unpipes the module and ends our internal stream.
    *
@@ -424,8 +1182,68 @@ export default class Archiver extends Transform {
    * @return void
    */
   _shutdown() {
+    if (!this._state.modulePiped) {
+      return;
+    }
     this._moduleUnpipe();
     this.end();
+    this._signals.forEach(function (listener, signal) {
+      signal.removeEventListener("abort", listener);
+    });
+    this._signals.clear();
+  }
+  /**
+   * Applies the `onError` policy to a directory walker that failed to read a
+   * directory. The walker stops at the error, so the rest of the walk is
+   * skipped.
+   *
+   * @private
+   * @param  {Error} err
+   * @param  {Object} walker
+   * @return void
+   */
+  _onGlobError(err, walker) {
+    if (this._state.aborted) {
+      return;
+    }
+    this._onEntryError(
+      new ArchiverError("GLOBFAILED", { path: err.path, cause: err }),
+      { name: null, path: err.path },
+      "error",
+    );
+    walker.stop();
+  }
+  /**
+   * Tracks a directory walker until it ends so it can be stopped when its
+   * `signal` or the archive is aborted.
+   *
+   * @private
+   * @param  {ReaddirGlob} globber
+   * @param  {AbortSignal} [signal]
+   * @return {Object} The walker, with a `stop` function.
+   */
+  _trackGlobber(globber, signal) {
+    const self = this;
+    const walker = {
+      signal: signal || null,
+      stop: function () {
+        globber.abort();
+        onend();
+      },
+    };
+    function onend() {
+      if (!self._globbers.delete(walker)) {
+        return;
+      }
+      self._pending--;
+      self._maybeFinalize();
+    }
+    globber.on("end", onend);
+    this._globbers.add(walker);
+    if (signal) {
+      this._watchSignal(signal);
+    }
+    return walker;
   }
   /**
    * Tracks the bytes emitted by our internal stream.
@@ -454,8 +1272,10 @@ export default class Archiver extends Transform {
     if (stats.isFile()) {
       task.data.type = "file";
       task.data.sourceType = "stream";
-      task.source = new Readable(function () {
-        return createReadStream(task.filepath);
+      task.source = new Readable(() => {
+        task.sourceStream = createReadStream(task.filepath);
+        this._countSourceBytes(task, task.sourceStream);
+        return task.sourceStream;
       });
     } else if (stats.isDirectory() && this._supportsDirectory) {
       task.data.name = trailingSlashIt(task.data.name);
@@ -473,25 +1293,50 @@ export default class Archiver extends Transform {
       );
       task.data.sourceType = "buffer";
       task.source = Buffer.concat([]);
+    } else if (deviceType(stats) && this._supportsDevice) {
+      task.data.type = deviceType(stats);
+      Object.assign(task.data, deviceNumbers(stats.rdev));
+      task.data.sourceType = "buffer";
+      task.source = Buffer.concat([]);
     } else {
+      let code = "ENTRYNOTSUPPORTED";
       if (stats.isDirectory()) {
-        this.emit(
-          "warning",
-          new ArchiverError("DIRECTORYNOTSUPPORTED", task.data),
-        );
+        code = "DIRECTORYNOTSUPPORTED";
       } else if (stats.isSymbolicLink()) {
-        this.emit(
-          "warning",
-          new ArchiverError("SYMLINKNOTSUPPORTED", task.data),
-        );
-      } else {
-        this.emit("warning", new ArchiverError("ENTRYNOTSUPPORTED", task.data));
+        code = "SYMLINKNOTSUPPORTED";
       }
+      this._entriesCount--;
+      this._onEntryError(
+        new ArchiverError(code, task.data),
+        { name: task.data.name, path: task.filepath },
+        "warn",
+      );
       return null;
     }
     task.data = this._normalizeEntryData(task.data, stats);
     return task;
   }
+  /**
+   * Listens once per signal for it to abort, running the listener right away
+   * when the signal has already been aborted.
+   *
+   * @private
+   * @param  {AbortSignal} signal
+   * @param  {Function} [listener] Defaults to dropping the signal's entries.
+   * @return void
+   */
+  _watchSignal(signal, listener) {
+    if (this._signals.has(signal)) {
+      return;
+    }
+    listener = listener || this._onEntrySignalAbort.bind(this, signal);
+    if (signal.aborted) {
+      setImmediate(listener);
+      return;
+    }
+    this._signals.set(signal, listener);
+    signal.addEventListener("abort", listener, { once: true });
+  }
   /**
    * Aborts the archiving process, taking a best-effort approach, by:
    *
@@ -533,12 +1378,22 @@ export default class Archiver extends Transform {
       return this;
     }
     if (data.type === "directory" && !this._supportsDirectory) {
-      this.emit(
-        "error",
+      this._onEntryError(
         new ArchiverError("DIRECTORYNOTSUPPORTED", { name: data.name }),
+        { name: data.name },
+        "error",
+      );
+      return this;
+    }
+    if (data.type === "link" && !this._supportsHardlink) {
+      this._onEntryError(
+        new ArchiverError("HARDLINKNOTSUPPORTED", { name: data.name }),
+        { name: data.name },
+        "error",
       );
       return this;
     }
+    const sourceStream = isStream(source) ? source : null;
     source = normalizeInputSource(source);
     if (Buffer.isBuffer(source)) {
       data.sourceType = "buffer";
@@ -551,11 +1406,31 @@ export default class Archiver extends Transform {
       );
       return this;
     }
-    this._entriesCount++;
-    this._queue.push({
+    const signal = data.signal || null;
+    delete data.signal;
+    if (signal) {
+      if (signal.aborted) {
+        return this;
+      }
+      this._watchSignal(signal);
+    }
+    const task = {
       data: data,
       source: source,
-    });
+      sequence: this._sequence++,
+      signal: signal,
+      sourceStream: sourceStream,
+      sourceError: null,
+    };
+    if (sourceStream) {
+      // the source may fail before the module starts reading it
+      source.on("error", function (err) {
+        task.sourceError = err;
+      });
+      this._countSourceBytes(task, sourceStream);
+    }
+    this._entriesCount++;
+    this._pushTask(task);
     return this;
   }
   /**
@@ -565,9 +1440,10 @@ export default class Archiver extends Transform {
    * @param  {String} destpath The destination path within the archive.
    * @param  {(EntryData|Function)} data See also [ZipEntryData]{@link ZipEntryData} and
    * [TarEntryData]{@link TarEntryData}.
+   * @param  {DirectoryOptions} [options]
    * @return {this}
    */
-  directory(dirpath, destpath, data) {
+  directory(dirpath, destpath, data, options) {
     if (this._state.finalize || this._state.aborted) {
       this.emit("error", new ArchiverError("QUEUECLOSED"));
       return this;
@@ -586,28 +1462,46 @@ export default class Archiver extends Transform {
     if (typeof data === "function") {
       dataFunction = data;
       data = {};
-    } else if (typeof data !== "object") {
+    } else if (typeof data !== "object" || data === null) {
       data = {};
     }
+    options = options || {};
+    const ignore = options.ignore ? [].concat(options.ignore) : [];
     var globOptions = {
       stat: true,
       dot: true,
+      // ignored directories are skipped rather than walked
+      ignore: ignore,
+      skip: ignore,
     };
-    function onGlobEnd() {
-      this._pending--;
-      this._maybeFinalize();
+    var ignoreRules = null;
+    if (options.ignoreFiles) {
+      ignoreRules = new IgnoreRules(dirpath, [].concat(options.ignoreFiles));
     }
+    var sequence = this._sequence++;
     function onGlobError(err) {
-      this.emit("error", err);
+      this._onGlobError(err, walker);
     }
     function onGlobMatch(match) {
-      globber.pause();
+      if (globber.aborted) {
+        return;
+      }
+      if (
+        ignoreRules &&
+        !match.stat.isDirectory() &&
+        ignoreRules.ignores(match.relative, false)
+      ) {
+        return;
+      }
       let ignoreMatch = false;
       let entryData = Object.assign({}, data);
       entryData.name = match.relative;
       entryData.prefix = destpath;
       entryData.stats = match.stat;
-      entryData.callback = globber.resume.bind(globber);
+      if (!this._deterministic && !this._prescan) {
+        globber.pause();
+        entryData.callback = globber.resume.bind(globber);
+      }
       try {
         if (dataFunction) {
           entryData = dataFunction(entryData);
@@ -627,12 +1521,21 @@ export default class Archiver extends Transform {
         globber.resume();
         return;
       }
-      this._append(match.absolute, entryData);
+      this._append(match.absolute, entryData, sequence);
     }
     const globber = readdirGlob(dirpath, globOptions);
+    if (ignoreRules) {
+      // readdir-glob only takes skip patterns, so the ignore files prune
+      // directories through a matcher of their own
+      globber.skipMatchers.push({
+        match: function (relative) {
+          return ignoreRules.ignores(relative, true);
+        },
+      });
+    }
     globber.on("error", onGlobError.bind(this));
     globber.on("match", onGlobMatch.bind(this));
-    globber.on("end", onGlobEnd.bind(this));
+    const walker = this._trackGlobber(globber, data.signal);
     return this;
   }
   /**
@@ -676,25 +1579,27 @@ export default class Archiver extends Transform {
       pattern: pattern,
       ...options,
     };
-    function onGlobEnd() {
-      this._pending--;
-      this._maybeFinalize();
-    }
+    const sequence = this._sequence++;
     function onGlobError(err) {
-      this.emit("error", err);
+      this._onGlobError(err, walker);
     }
     function onGlobMatch(match) {
-      globber.pause();
+      if (globber.aborted) {
+        return;
+      }
       const entryData = Object.assign({}, data);
-      entryData.callback = globber.resume.bind(globber);
+      if (!this._deterministic && !this._prescan) {
+        globber.pause();
+        entryData.callback = globber.resume.bind(globber);
+      }
       entryData.stats = match.stat;
       entryData.name = match.relative;
-      this._append(match.absolute, entryData);
+      this._append(match.absolute, entryData, sequence);
     }
     const globber = new ReaddirGlob(options.cwd || ".", options);
     globber.on("error", onGlobError.bind(this));
     globber.on("match", onGlobMatch.bind(this));
-    globber.on("end", onGlobEnd.bind(this));
+    const walker = this._trackGlobber(globber, data && data.signal);
     return this;
   }
   /**
@@ -709,33 +1614,109 @@ export default class Archiver extends Transform {
    */
   finalize() {
     if (this._state.aborted) {
-      var abortedError = new ArchiverError("ABORTED");
+      var abortedError = this._abortError || new ArchiverError("ABORTED");
       this.emit("error", abortedError);
       return Promise.reject(abortedError);
     }
-    if (this._state.finalize) {
+    if (this._state.finalize && !this._state.scanning) {
       var finalizingError = new ArchiverError("FINALIZING");
       this.emit("error", finalizingError);
       return Promise.reject(finalizingError);
     }
     this._state.finalize = true;
-    if (this._pending === 0 && this._queue.idle() && this._statQueue.idle()) {
-      this._finalize();
-    }
+    this._state.scanning = false;
+    this._maybeFinalize();
     var self = this;
     return new Promise(function (resolve, reject) {
       var errored;
       self._module.on("end", function () {
         if (!errored) {
-          resolve();
+          resolve(self.report());
         }
       });
       self._module.on("error", function (err) {
         errored = true;
         reject(err);
       });
+      self._rejectFinalize = function (err) {
+        errored = true;
+        reject(err);
+      };
+    });
+  }
+  /**
+   * Resolves every entry appended so far, like `finalize`, but without
+   * reading any source or writing the archive. The archive ends without
+   * output and can't be finalized afterwards.
+   *
+   * @return {Promise<ArchivePlan>}
+   */
+  plan() {
+    if (this._state.aborted) {
+      var abortedError = this._abortError || new ArchiverError("ABORTED");
+      return Promise.reject(abortedError);
+    }
+    if (this._state.finalize) {
+      var finalizingError = new ArchiverError("FINALIZING");
+      this.emit("error", finalizingError);
+      return Promise.reject(finalizingError);
+    }
+    var self = this;
+    return new Promise(function (resolve, reject) {
+      self._plan = { entries: [], resolve: resolve };
+      self._rejectFinalize = reject;
+      self._state.planning = true;
+      self._state.finalize = true;
+      self._maybeFinalize();
+    });
+  }
+  /**
+   * Completes the discovery of every entry appended so far, walking
+   * directories and globs and calling stat, and resolves with their totals
+   * once `scanned` is emitted. No more entries can be appended, and none of
+   * them is written until `finalize` is called.
+   *
+   * Entries already being written when it is called, without the `prescan`
+   * option, are not held back.
+   *
+   * @return {Promise<ScanData>}
+   */
+  scan() {
+    if (this._state.aborted) {
+      var abortedError = this._abortError || new ArchiverError("ABORTED");
+      return Promise.reject(abortedError);
+    }
+    if (this._state.finalize) {
+      var finalizingError = new ArchiverError("FINALIZING");
+      this.emit("error", finalizingError);
+      return Promise.reject(finalizingError);
+    }
+    if (!this._prescan) {
+      this._prescan = true;
+      // hold back the entries that haven't started yet
+      this._queue.remove((node) => {
+        this._holdTask(node.data);
+        return true;
+      });
+    }
+    var self = this;
+    return new Promise(function (resolve, reject) {
+      self._resolveScan = resolve;
+      self._rejectFinalize = reject;
+      self._state.scanning = true;
+      self._state.finalize = true;
+      self._maybeFinalize();
     });
   }
+  /**
+   * Returns the report of the entries that were left out of the archive by
+   * the `onError` policy, or because they aren't supported by the format.
+   *
+   * @return {ArchiveReport}
+   */
+  report() {
+    return { skipped: this._skipped.slice() };
+  }
   /**
    * Appends a symlink to the instance.
    *
@@ -763,9 +1744,10 @@ export default class Archiver extends Transform {
       return this;
     }
     if (!this._supportsSymlink) {
-      this.emit(
-        "error",
+      this._onEntryError(
         new ArchiverError("SYMLINKNOTSUPPORTED", { filepath: filepath }),
+        { name: filepath },
+        "error",
       );
       return this;
     }
@@ -777,13 +1759,98 @@ export default class Archiver extends Transform {
     if (typeof mode === "number") {
       data.mode = mode;
     }
+    if (this._deterministic) {
+      data = this._normalizeEntryData(data);
+    } else {
+      this._applyOwner(data);
+    }
     this._entriesCount++;
-    this._queue.push({
+    this._pushTask({
       data: data,
       source: Buffer.concat([]),
+      sequence: this._sequence++,
     });
     return this;
   }
+  /**
+   * Returns a [WHATWG ReadableStream]{@link https://developer.mozilla.org/docs/Web/API/ReadableStream}
+   * of the archive output, for use with `fetch` responses and other web APIs.
+   *
+   * The archive is paused whenever the web stream's queue is full, errors are
+   * forwarded to the web stream, cancelling the web stream aborts the archive
+   * and aborting the archive errors the web stream with `ABORTED`.
+   *
+   * @param  {Object} [options]
+   * @param  {Number} [options.highWaterMark=highWaterMark] The number of bytes
+   * to queue before applying backpressure.
+   * @return {ReadableStream}
+   */
+  toWebStream(options) {
+    options = {
+      highWaterMark: this.readableHighWaterMark,
+      ...options,
+    };
+    const self = this;
+    let settled = false;
+    function cleanup() {
+      settled = true;
+      self.removeListener("data", ondata);
+      self.removeListener("end", onend);
+      self.removeListener("error", onerror);
+    }
+    function ondata(chunk) {
+      if (settled) {
+        return;
+      }
+      controller.enqueue(chunk);
+      if (controller.desiredSize <= 0) {
+        self.pause();
+      }
+    }
+    function onend() {
+      if (settled) {
+        return;
+      }
+      cleanup();
+      if (self._state.aborted) {
+        controller.error(self._abortError || new ArchiverError("ABORTED"));
+      } else {
+        controller.close();
+      }
+    }
+    function onerror(err) {
+      if (settled) {
+        return;
+      }
+      cleanup();
+      controller.error(err);
+      self.abort();
+    }
+    let controller;
+    return new ReadableStream(
+      {
+        start(ctrl) {
+          controller = ctrl;
+          self.on("data", ondata);
+          self.on("end", onend);
+          self.on("error", onerror);
+          self.pause();
+        },
+        pull() {
+          self.resume();
+        },
+        cancel() {
+          cleanup();
+          // rejects the `finalize` promise, as aborting through a signal does
+          if (!self._state.aborted && !self._state.finalized) {
+            self._abortWith(new ArchiverError("ABORTED"));
+          }
+          self.resume();
+        },
+      },
+      new ByteLengthQueuingStrategy({ highWaterMark: options.highWaterMark }),
+    );
+  }
   /**
    * Returns the current length (in bytes) that has been emitted.
    *
@@ -792,6 +1859,36 @@ export default class Archiver extends Transform {
   pointer() {
     return this._pointer;
   }
+  /**
+   * Iterates over the archive output with the same backpressure, error and
+   * abort semantics as `toWebStream`. Leaving the loop early aborts the archive.
+   *
+   * @return {AsyncIterator<Buffer>}
+   */
+  async *[Symbol.asyncIterator]() {
+    const reader = this.toWebStream().getReader();
+    let done = false;
+    try {
+      while (!done) {
+        let result;
+        try {
+          result = await reader.read();
+        } catch (err) {
+          done = true;
+          throw err;
+        }
+        done = result.done;
+        if (!done) {
+          yield result.value;
+        }
+      }
+    } finally {
+      if (!done) {
+        await reader.cancel();
+      }
+      reader.releaseLock();
+    }
+  }
 }
 
 /**
@@ -799,6 +1896,79 @@ export default class Archiver extends Transform {
  * @global
  * @property {Number} [statConcurrency=4] Sets the number of workers used to
  * process the internal fs stat queue.
+ * @property {(Boolean|Object)} [deterministic=false] Produces byte-identical
+ * output for identical input: entries are written once discovery completes,
+ * ordered by call and name, with fs mtimes pinned to `deterministic.date`,
+ * `SOURCE_DATE_EPOCH` or 1980-01-01, normalized modes and zeroed ownership
+ * where none is set.
+ * @property {Number} [uid] Sets the owner id of entries that don't set one.
+ * @property {Number} [gid] Sets the group id of entries that don't set one.
+ * @property {String} [uname] Sets the owner name of entries that don't set one.
+ * @property {String} [gname] Sets the group name of entries that don't set one.
+ * @property {Boolean} [preserveOwner=false] Uses the `uid` and `gid` of the
+ * entry stats, ahead of the archive `uid` and `gid`.
+ * @property {(Object|Function)} [mapOwner] Maps the resolved ownership of
+ * every entry: an object maps ids, eg. `{ 1000: 0 }`, and a function receives
+ * `({ uid, gid, uname, gname }, data)` and returns the fields to change.
+ * @property {(Boolean|String|String[])} [checksums] Hashes the contents of
+ * file entries with the given crypto algorithms, `sha256` for `true`, and
+ * sets the hex digests as `checksums` on the `entry` event data.
+ * @property {(Boolean|String)} [checksumManifest] Writes the checksums as the
+ * final entry, `SHA256SUMS`-style or as JSON when the name ends with `.json`.
+ * @property {AbortSignal} [signal] Aborts the archive when the signal is
+ * aborted, rejecting the `finalize` promise with an `ABORTED` error whose
+ * `data.reason` holds the signal's reason.
+ * @property {Number} [progressInterval=250] Emits `progress` while an entry
+ * is read, at most this many milliseconds apart. `0` disables it.
+ * @property {Number} [progressBytes=0] Also emits `progress` every time this
+ * many bytes have been read. `0` disables it.
+ * @property {Boolean} [prescan=false] Holds every entry back until
+ * discovery completes after `finalize`, emitting `scanned` with the final
+ * totals before any archive data is written.
+ * @property {(String|Function)} [onError] Handles entries that can't be
+ * archived: `fail` aborts the archive, `skip` leaves the entry out and `warn`
+ * also emits a `warning`. A function receives `(err, { name, path })` and
+ * returns one of these.
+ */
+
+/**
+ * @typedef {Object} DirectoryOptions
+ * @global
+ * @property {(String|String[])} [ignore] Globs of paths, relative to the
+ * directory, to leave out. Matching directories aren't walked.
+ * @property {(String|String[])} [ignoreFiles] Names of ignore files, eg.
+ * `.gitignore` or `.dockerignore`, whose rules are honored with gitignore
+ * semantics in the directory they're found in and below it.
+ */
+
+/**
+ * @typedef {Object} ScanData
+ * @global
+ * @property {Object} entries
+ * @property {Number} entries.total Number of entries that will be appended.
+ * @property {Object} fs
+ * @property {Number} fs.totalBytes Number of bytes of the entries, based on
+ * fs.Stats.
+ */
+
+/**
+ * @typedef {Object} ArchivePlan
+ * @global
+ * @property {Object[]} entries The entries in archive order, with their
+ * `name`, `type`, `mode`, `date` and `size`, which is `null` for appended
+ * streams, along with `linkname`, `sourcePath` and ownership when set.
+ * @property {Object} totals The number of `entries`, their total size in
+ * `bytes` and the number of entries of each type as `types`.
+ * @property {Object[]} skipped The entries left out, as in
+ * {@link ArchiveReport}.
+ */
+
+/**
+ * @typedef {Object} ArchiveReport
+ * @global
+ * @property {Object[]} skipped The entries left out of the archive, with the
+ * `code` of their `ArchiverError`, their `name` and source `path`, and the
+ * `message` of the underlying error.
  */
 
 /**
@@ -831,6 +2001,9 @@ export default class Archiver extends Transform {
  * when working with methods like `directory` or `glob`.
  * @property {fs.Stats} [stats] Sets the fs stat data for this entry allowing
  * for reduction of fs stat calls when stat data is already known.
+ * @property {AbortSignal} [signal] Drops the entry (or every entry of a
+ * `directory` or `glob` call) when aborted. Aborting an entry that is already
+ * being written aborts the whole archive.
  */
 
 /**
@@ -848,4 +2021,20 @@ export default class Archiver extends Transform {
  * @property {Object} fs
  * @property {Number} fs.totalBytes Number of bytes that have been appended. Calculated asynchronously and might not be accurate: it growth while entries are added. (based on fs.Stats)
  * @property {Number} fs.processedBytes Number of bytes that have been processed. (based on fs.Stats)
+ * @property {Number} fs.linkedBytes Number of bytes that were not written again because their entries were stored as hardlinks. (based on fs.Stats)
+ * @property {Object} entry The entry being appended, or `null` between entries.
+ * @property {String} entry.name
+ * @property {Number} entry.processedBytes Number of bytes read from its source.
+ * @property {Number} entry.totalBytes Its size, or `null` when not known from fs.Stats.
+ * @property {Object} bytes
+ * @property {Number} bytes.read Number of bytes read from every source.
+ * @property {Number} bytes.written Number of bytes output, like {@link Archiver#pointer}.
+ * @property {Number} ratio The output size relative to the bytes read, or `null` before anything is read.
+ * @property {Number} throughput The average number of bytes read per second.
+ * @property {Number} eta The estimated number of seconds until `fs.processedBytes` reaches `fs.totalBytes`, or `null` before anything is read.
+ * @property {Boolean} discoveryComplete Whether every entry has been found, after `finalize` once directory walks and stats are done. `entries.total` and `fs.totalBytes` can only grow until then.
+ * @property {Object} [volume] Only set for split archives.
+ * @property {Number} volume.number The number of the volume being written, starting at 1.
+ * @property {Number} volume.pointer Number of bytes written to the volume.
+ * @property {Number} volume.total Number of bytes written to all volumes, like {@link Archiver#pointer}.
  */
@@ -0,0 +1,211 @@
+import { createCipheriv, createHmac, pbkdf2Sync, randomBytes } from "crypto";
+
+/**
+ * ZIP Encryption
+ *
+ * Implements WinZip AES (AE-2) and traditional PKWARE (ZipCrypto) encryption
+ * of zip entry data.
+ *
+ * @module encryption
+ * @license [MIT]{@link https://github.com/archiverjs/node-archiver/blob/master/LICENSE}
+ * @copyright (c) 2012-2014 Chris Talkington, contributors.
+ */
+
+export const METHOD_AES = 99;
+export const AES_EXTRA_ID = 0x9901;
+
+const AES_KEY_LENGTHS = {
+  aes128: 16,
+  aes256: 32,
+};
+
+/**
+ * Creates the cipher for an entry.
+ *
+ * @param  {String} method One of `aes256`, `aes128` or `zipcrypto`.
+ * @param  {(String|Buffer)} password
+ * @param  {Number} checkByte The last byte of the ZipCrypto header.
+ * @return {(WinZipAesCipher|ZipCryptoCipher|null)} `null` for unknown methods.
+ */
+export function createZipCipher(method, password, checkByte) {
+  password = Buffer.from(password);
+  if (AES_KEY_LENGTHS[method]) {
+    return new WinZipAesCipher(password, AES_KEY_LENGTHS[method]);
+  } else if (method === "zipcrypto") {
+    return new ZipCryptoCipher(password, checkByte);
+  }
+  return null;
+}
+
+/**
+ * Encrypts entry data with AES in counter mode and authenticates it with
+ * HMAC-SHA1, as specified by WinZip's AE-2 format. AE-2 entries record a
+ * crc32 of 0 since the HMAC already covers the content.
+ *
+ * @private
+ */
+export class WinZipAesCipher {
+  /**
+   * @constructor
+   * @param {Buffer} password
+   * @param {Number} keyLength 16 or 32 bytes.
+   */
+  constructor(password, keyLength) {
+    this.keyLength = keyLength;
+    this.salt = randomBytes(keyLength / 2);
+    const derived = pbkdf2Sync(
+      password,
+      this.salt,
+      1000,
+      keyLength * 2 + 2,
+      "sha1",
+    );
+    this.cipher = createCipheriv(
+      "aes-" + keyLength * 8 + "-ecb",
+      derived.subarray(0, keyLength),
+      null,
+    );
+    this.cipher.setAutoPadding(false);
+    this.hmac = createHmac("sha1", derived.subarray(keyLength, keyLength * 2));
+    this.verifier = derived.subarray(keyLength * 2);
+    this.counter = 1;
+    this.keystream = Buffer.alloc(0);
+    // the actual compression method, set while writing the headers
+    this.method = 0;
+    this.overhead = this.salt.length + 2 + 10;
+    this.versionNeeded = 51;
+  }
+  /**
+   * Returns the 0x9901 extra field for the entry's actual compression method.
+   *
+   * @return {Buffer}
+   */
+  extraField() {
+    const field = Buffer.alloc(11);
+    field.writeUInt16LE(AES_EXTRA_ID, 0);
+    field.writeUInt16LE(7, 2);
+    // vendor version AE-2 and vendor id
+    field.writeUInt16LE(2, 4);
+    field.write("AE", 6, "latin1");
+    field.writeUInt8(this.keyLength === 32 ? 3 : 1, 8);
+    field.writeUInt16LE(this.method, 9);
+    return field;
+  }
+  /**
+   * Returns the unencrypted salt and password verifier that precede the data.
+   *
+   * @return {Buffer}
+   */
+  header() {
+    return Buffer.concat([this.salt, this.verifier]);
+  }
+  /**
+   * @param  {Buffer} chunk
+   * @return {Buffer}
+   */
+  update(chunk) {
+    if (this.keystream.length < chunk.length) {
+      const blocks = Math.ceil((chunk.length - this.keystream.length) / 16);
+      const counters = Buffer.alloc(blocks * 16);
+      for (let i = 0; i < blocks; i++) {
+        // the counter is little-endian, unlike the usual CTR mode
+        counters.writeUInt32LE(this.counter % 0x100000000, i * 16);
+        counters.writeUInt32LE(
+          Math.floor(this.counter / 0x100000000),
+          i * 16 + 4,
+        );
+        this.counter++;
+      }
+      this.keystream = Buffer.concat([
+        this.keystream,
+        this.cipher.update(counters),
+      ]);
+    }
+    const output = Buffer.allocUnsafe(chunk.length);
+    for (let i = 0; i < chunk.length; i++) {
+      output[i] = chunk[i] ^ this.keystream[i];
+    }
+    this.keystream = this.keystream.subarray(chunk.length);
+    this.hmac.update(output);
+    return output;
+  }
+  /**
+   * Returns the authentication code that follows the data.
+   *
+   * @return {Buffer}
+   */
+  final() {
+    return this.hmac.digest().subarray(0, 10);
+  }
+}
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32Update(crc, byte) {
+  return (CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)) >>> 0;
+}
+
+/**
+ * Encrypts entry data with the traditional PKWARE stream cipher. It is weak
+ * but understood by practically every unzip tool.
+ *
+ * @private
+ */
+export class ZipCryptoCipher {
+  /**
+   * @constructor
+   * @param {Buffer} password
+   * @param {Number} checkByte
+   */
+  constructor(password, checkByte) {
+    this.keys = [0x12345678, 0x23456789, 0x34567890];
+    for (const byte of password) {
+      this._updateKeys(byte);
+    }
+    this.checkByte = checkByte;
+    this.overhead = 12;
+    this.versionNeeded = 20;
+  }
+  _updateKeys(byte) {
+    const keys = this.keys;
+    keys[0] = crc32Update(keys[0], byte);
+    keys[1] = (Math.imul(keys[1] + (keys[0] & 0xff), 134775813) + 1) >>> 0;
+    keys[2] = crc32Update(keys[2], keys[1] >>> 24);
+  }
+  /**
+   * Returns the encrypted 12 byte header that precedes the data.
+   *
+   * @return {Buffer}
+   */
+  header() {
+    const header = randomBytes(12);
+    header[11] = this.checkByte;
+    return this.update(header);
+  }
+  /**
+   * @param  {Buffer} chunk
+   * @return {Buffer}
+   */
+  update(chunk) {
+    const output = Buffer.allocUnsafe(chunk.length);
+    for (let i = 0; i < chunk.length; i++) {
+      const temp = (this.keys[2] | 2) & 0xffff;
+      output[i] = chunk[i] ^ (((temp * (temp ^ 1)) >>> 8) & 0xff);
+      this._updateKeys(chunk[i]);
+    }
+    return output;
+  }
+  /**
+   * @return {Buffer}
+   */
+  final() {
+    return Buffer.alloc(0);
+  }
+}
@@ -2,6 +2,8 @@ import util from "util";
 
 const ERROR_CODES = {
   ABORTED: "archive was aborted",
+  ARCHIVECORRUPTED: "archive is corrupted or truncated",
+  COMPRESSIONNOTSUPPORTED: "compression not supported by this runtime",
   DIRECTORYDIRPATHREQUIRED:
     "diretory dirpath argument must be a non-empty string value",
   DIRECTORYFUNCTIONINVALIDDATA:
@@ -14,15 +16,53 @@ const ERROR_CODES = {
   NOENDMETHOD: "no suitable finalize/end method defined by module",
   DIRECTORYNOTSUPPORTED: "support for directory entries not defined by module",
   FORMATSET: "archive format already set",
+  FORMATNAMEREQUIRED: "format name must be a non-empty string value",
+  FORMATREGISTERED: "format already registered",
+  FORMATNOTREGISTERED: "format not registered",
   INPUTSTEAMBUFFERREQUIRED:
     "input source must be valid Stream or Buffer instance",
   MODULESET: "module already set",
+  MODULEINVALID: "module must implement append, finalize, on, pipe and unpipe",
+  HARDLINKNOTSUPPORTED: "support for hardlink entries not defined by module",
   SYMLINKNOTSUPPORTED: "support for symlink entries not defined by module",
   SYMLINKFILEPATHREQUIRED:
     "symlink filepath argument must be a non-empty string value",
   SYMLINKTARGETREQUIRED:
     "symlink target argument must be a non-empty string value",
   ENTRYNOTSUPPORTED: "entry not supported",
+  ENCRYPTIONMETHODINVALID:
+    "encryption method must be one of aes256, aes128 or zipcrypto",
+  ENTRYCORRUPTED: "entry content does not match its recorded crc32 or size",
+  FORMATUNKNOWN: "archive format could not be detected",
+  ENTRYPATHINVALID: "entry path is absolute or outside the destination",
+  ENTRYLINKINVALID: "entry link target is outside the destination",
+  ENTRYLIMITEXCEEDED: "archive exceeds the entry count limit",
+  SIZELIMITEXCEEDED: "archive exceeds the uncompressed size limit",
+  RATIOLIMITEXCEEDED: "archive exceeds the compression ratio limit",
+  TARFORMATINVALID: "tar format must be one of ustar, pax or gnu",
+  TARNAMETOOLONG: "entry name is too long for the tar format",
+  TARNAMEINVALID: "entry name has characters the tar format can't represent",
+  TARFIELDOVERFLOW: "entry value is too large for the tar format",
+  TARFIELDUNSUPPORTED: "entry field is not supported by the tar format",
+  TARSPARSEUNSUPPORTED: "sparse tar entry format is not supported",
+  OWNERINVALID: "uid and gid must be non-negative integers",
+  OWNERMAPINVALID: "owner map must be an object or a function",
+  CHECKSUMALGORITHMINVALID: "checksum algorithm is not supported by crypto",
+  JSONFORMATINVALID: "json format must be one of json or ndjson",
+  JSONCONTENTINVALID:
+    "json content encoding must be one of base64 or utf8-or-base64",
+  JSONCONTENTMISSING: "json bundle entry has no content to restore",
+  CPIOFORMATINVALID: "cpio format must be one of newc or crc",
+  CPIOFIELDOVERFLOW: "entry value is too large for the cpio format",
+  ENTRYSIZEMISMATCH: "entry contents don't match the size of its stats",
+  ARFIELDOVERFLOW: "entry value is too large for the ar format",
+  DEBCONTROLINVALID: "deb control is missing a required field",
+  ONERRORINVALID: "onError must be one of fail, skip, warn or a function",
+  ENTRYSTATFAILED: "entry source could not be stat'd",
+  ENTRYREADFAILED: "entry source could not be read",
+  GLOBFAILED: "directory could not be read while matching entries",
+  SPLITSIZEINVALID: "split size must be a number of at least 65536 bytes",
+  VOLUMEPROVIDERREQUIRED: "volume provider must be a function when splitting",
 };
 
 function ArchiverError(code, data) {
@@ -0,0 +1,568 @@
+import { createWriteStream } from "fs";
+import {
+  chmod,
+  link,
+  lstat,
+  lutimes,
+  mkdir,
+  readFile,
+  realpath,
+  rm,
+  stat,
+  symlink,
+  utimes,
+} from "fs/promises";
+import {
+  dirname,
+  isAbsolute,
+  join as joinPath,
+  posix,
+  relative as relativePath,
+  sep,
+} from "path";
+import { pipeline } from "stream/promises";
+import crc32 from "buffer-crc32";
+import { isStream } from "is-stream";
+import normalizePath from "normalize-path";
+import { Readable, Transform } from "readable-stream";
+import { ArchiverError } from "./error.js";
+import ArchiveReader from "./reader.js";
+
+/**
+ * Extracts a zip, tar or gzipped tar archive into a directory, restoring
+ * modes, mtimes, symlinks and hardlinks.
+ *
+ * Entries are rejected when their name is absolute or traverses out of
+ * `destDir` (the cases {@link sanitizePath} strips when writing), or when a
+ * symlink or hardlink would point outside `destDir`. Links are created after
+ * the other entries, and symlinks are checked again once all of them exist,
+ * since a later symlink can redirect an earlier one. The total uncompressed
+ * size, the number of entries and the ratio between the extracted size and
+ * the archive size are limited to guard against zip bombs. Device and fifo
+ * entries are skipped.
+ *
+ * On error, entries that have already been extracted are left in place.
+ *
+ * @param  {(String|Buffer|Stream)} source A filepath, buffer or readable stream.
+ * @param  {String} destDir The directory to extract into, created when missing.
+ * @param  {ExtractOptions} [options]
+ * @return {Promise<EntryData[]>} Resolves with the extracted entries.
+ */
+export default async function extract(source, destDir, options) {
+  options = {
+    maxEntries: 100000,
+    maxRatio: 1000,
+    maxSize: 4 * 1024 * 1024 * 1024,
+    ...options,
+  };
+  const counter = new ByteCounter();
+  let archiveSize;
+  if (typeof source === "string") {
+    archiveSize = (await stat(source)).size;
+  } else if (Buffer.isBuffer(source)) {
+    archiveSize = source.length;
+  } else if (isStream(source)) {
+    source.on("error", function (err) {
+      counter.destroy(err);
+    });
+    source = source.pipe(counter);
+  }
+  const reader = new ArchiveReader(source, {
+    format: options.format,
+    forceLocalTime: options.forceLocalTime,
+  });
+  await mkdir(destDir, { recursive: true });
+  const root = await realpath(destDir);
+  const limits = {
+    options: options,
+    size: 0,
+    archiveSize: function () {
+      return archiveSize === undefined ? counter.bytes : archiveSize;
+    },
+  };
+  return extractEntries(reader, root, limits);
+}
+
+/**
+ * Restores a JSON bundle written by `JsonArchive` with `includeContent` into
+ * a directory, recreating its files, directories and symlinks with their modes
+ * and mtimes. Both the `json` and `ndjson` formats are read.
+ *
+ * File contents are verified against the recorded size and crc32, and the
+ * same path and size limits as {@link extract} apply.
+ *
+ * @param  {(String|Buffer|Object[])} source A filepath, buffer or the parsed
+ * entries.
+ * @param  {String} destDir The directory to restore into, created when missing.
+ * @param  {ExtractOptions} [options]
+ * @return {Promise<EntryData[]>} Resolves with the restored entries.
+ */
+export async function restoreJsonBundle(source, destDir, options) {
+  options = {
+    maxEntries: 100000,
+    maxRatio: 1000,
+    maxSize: 4 * 1024 * 1024 * 1024,
+    ...options,
+  };
+  let entries = source;
+  if (typeof source === "string") {
+    source = await readFile(source);
+  }
+  if (Buffer.isBuffer(source)) {
+    entries = parseJsonBundle(source.toString("utf8"));
+  }
+  if (!Array.isArray(entries)) {
+    throw new ArchiverError("INPUTSTEAMBUFFERREQUIRED");
+  }
+  await mkdir(destDir, { recursive: true });
+  const root = await realpath(destDir);
+  const size = Buffer.isBuffer(source)
+    ? source.length
+    : Buffer.byteLength(JSON.stringify(entries));
+  const limits = {
+    options: options,
+    size: 0,
+    archiveSize: function () {
+      return size;
+    },
+  };
+  return extractEntries(readJsonBundle(entries), root, limits);
+}
+
+/**
+ * Extracts the entries yielded by a reader.
+ *
+ * @private
+ * @param  {AsyncIterable<Object>} reader
+ * @param  {String} root The real path of the destination.
+ * @param  {Object} limits
+ * @return {Promise<EntryData[]>}
+ */
+async function extractEntries(reader, root, limits) {
+  const options = limits.options;
+  const entries = [];
+  const directories = [];
+  const links = [];
+  for await (const { data, stream } of reader) {
+    if (entries.length >= options.maxEntries) {
+      stream.destroy();
+      throw new ArchiverError("ENTRYLIMITEXCEEDED", {
+        name: data.name,
+        limit: options.maxEntries,
+      });
+    }
+    const target = await resolveEntryPath(root, data.name);
+    if (data.type === "directory") {
+      await mkdir(target, { recursive: true });
+      directories.push({ path: target, data: data });
+    } else if (data.type === "file") {
+      await extractFile(target, data, stream, limits);
+    } else if (data.type === "symlink" || data.type === "link") {
+      stream.resume();
+      links.push({ path: target, data: data });
+    } else {
+      stream.resume();
+      continue;
+    }
+    entries.push(data);
+  }
+  // links are created once everything else is written, so that no entry is
+  // written through a symlink of the archive
+  for (const { path, data } of links) {
+    if (data.type === "symlink") {
+      await extractSymlink(root, path, data);
+    } else {
+      await extractLink(root, path, data);
+    }
+  }
+  // a later symlink may have replaced a component of an earlier one's
+  // target, every symlink pointing outside is removed before rejecting
+  let escaped;
+  for (const { path, data } of links) {
+    if (data.type === "symlink" && !(await verifySymlink(root, path, data))) {
+      escaped = escaped || data;
+    }
+  }
+  if (escaped) {
+    throw new ArchiverError("ENTRYLINKINVALID", { name: escaped.name });
+  }
+  // directories are updated last, deepest first, since extracting their
+  // children changes their mtime and may require write permission
+  directories.sort(function (a, b) {
+    return b.path.length - a.path.length;
+  });
+  for (const { path, data } of directories) {
+    await chmod(path, data.mode);
+    await utimes(path, data.date, data.date);
+  }
+  return entries;
+}
+
+/**
+ * Parses a JSON bundle written as a JSON array or as one JSON line per entry.
+ *
+ * @private
+ * @param  {String} text
+ * @return {Object[]}
+ */
+function parseJsonBundle(text) {
+  try {
+    if (text.trimStart().startsWith("[")) {
+      return JSON.parse(text);
+    }
+    return text
+      .split("\n")
+      .filter(function (line) {
+        return line.trim() !== "";
+      })
+      .map(function (line) {
+        return JSON.parse(line);
+      });
+  } catch (err) {
+    throw new ArchiverError("ARCHIVECORRUPTED", { reason: err.message });
+  }
+}
+
+/**
+ * Yields the entries of a parsed JSON bundle the way {@link ArchiveReader}
+ * yields archive entries.
+ *
+ * @private
+ * @param  {Object[]} entries
+ * @return {AsyncGenerator<Object>}
+ */
+async function* readJsonBundle(entries) {
+  for (const entry of entries) {
+    const data = {
+      type: entry.type,
+      name: entry.name,
+      date: entry.date ? new Date(entry.date) : new Date(),
+      mode: entry.mode,
+      size: entry.size,
+      linkname: entry.linkname,
+      crc32: entry.crc32,
+    };
+    if (typeof data.mode !== "number") {
+      data.mode = data.type === "directory" ? 493 : 420;
+    }
+    let contents = Buffer.alloc(0);
+    if (data.type === "file") {
+      if (typeof entry.content !== "string") {
+        throw new ArchiverError("JSONCONTENTMISSING", { name: data.name });
+      }
+      contents = Buffer.from(
+        entry.content,
+        entry.contentEncoding === "utf8" ? "utf8" : "base64",
+      );
+      if (
+        (typeof data.size === "number" && contents.length !== data.size) ||
+        (typeof data.crc32 === "number" &&
+          crc32.unsigned(contents) !== data.crc32)
+      ) {
+        throw new ArchiverError("ENTRYCORRUPTED", { name: data.name });
+      }
+    }
+    yield { data: data, stream: Readable.from([contents]) };
+  }
+}
+
+/**
+ * Resolves an entry name within the destination, creating its parent
+ * directories.
+ *
+ * @private
+ * @param  {String} root The real path of the destination.
+ * @param  {String} name
+ * @return {Promise<String>}
+ */
+async function resolveEntryPath(root, name) {
+  const normalized = normalizePath(name, false);
+  if (!isContainedPath(normalized)) {
+    throw new ArchiverError("ENTRYPATHINVALID", { name: name });
+  }
+  const target = joinPath(root, posix.normalize(normalized));
+  if (target === root) {
+    return target;
+  }
+  const parent = dirname(target);
+  assertWithin(root, await nearestRealPath(parent), name);
+  await mkdir(parent, { recursive: true });
+  // the parent may have been reached through a symlink
+  const realParent = await realpath(parent);
+  assertWithin(root, realParent, name);
+  return joinPath(realParent, posix.basename(normalized));
+}
+
+/**
+ * Checks that a relative archive path stays within its root.
+ *
+ * @private
+ * @param  {String} filepath A normalized path.
+ * @return {Boolean}
+ */
+function isContainedPath(filepath) {
+  if (/^\w+:/.test(filepath) || filepath.startsWith("/")) {
+    return false;
+  }
+  return filepath.split("/").indexOf("..") === -1;
+}
+
+/**
+ * @private
+ * @param  {String} root
+ * @param  {String} filepath
+ * @param  {String} name
+ * @return void
+ */
+function assertWithin(root, filepath, name) {
+  const relative = relativePath(root, filepath);
+  if (
+    relative === ".." ||
+    relative.startsWith(".." + sep) ||
+    isAbsolute(relative)
+  ) {
+    throw new ArchiverError("ENTRYPATHINVALID", { name: name });
+  }
+}
+
+/**
+ * Resolves a symlink target the way the kernel will, following the symlinks
+ * already extracted, and checks that every step stays within the root.
+ *
+ * A `..` after a component that doesn't exist yet is rejected, as a later
+ * entry could make that component a symlink.
+ *
+ * @private
+ * @param  {String} root
+ * @param  {String} dir The real path of the directory holding the symlink.
+ * @param  {String} linkname A normalized relative path.
+ * @param  {String} name
+ * @return {Promise<String>}
+ */
+async function resolveLinkTarget(root, dir, linkname, name) {
+  let current = dir;
+  let missing = false;
+  for (const segment of linkname.split("/")) {
+    if (segment === "" || segment === ".") {
+      continue;
+    }
+    if (segment === "..") {
+      if (missing) {
+        throw new ArchiverError("ENTRYPATHINVALID", { name: name });
+      }
+      current = dirname(current);
+    } else if (missing) {
+      current = joinPath(current, segment);
+    } else {
+      current = joinPath(current, segment);
+      try {
+        current = await realpath(current);
+      } catch (err) {
+        if (err.code !== "ENOENT") {
+          throw err;
+        }
+        missing = true;
+      }
+    }
+    assertWithin(root, current, name);
+  }
+  return current;
+}
+
+/**
+ * Resolves the real path of the nearest existing ancestor.
+ *
+ * @private
+ * @param  {String} filepath
+ * @return {Promise<String>}
+ */
+async function nearestRealPath(filepath) {
+  try {
+    return await realpath(filepath);
+  } catch (err) {
+    if (err.code !== "ENOENT" || dirname(filepath) === filepath) {
+      throw err;
+    }
+    return nearestRealPath(dirname(filepath));
+  }
+}
+
+/**
+ * Removes whatever an earlier entry left at the target, so that writes never
+ * follow a symlink.
+ *
+ * @private
+ * @param  {String} target
+ * @return {Promise}
+ */
+async function removeExisting(target) {
+  try {
+    const stats = await lstat(target);
+    if (!stats.isDirectory()) {
+      await rm(target);
+    }
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw err;
+    }
+  }
+}
+
+/**
+ * @private
+ * @param  {String} target
+ * @param  {EntryData} data
+ * @param  {Stream} stream
+ * @param  {Object} limits
+ * @return {Promise}
+ */
+async function extractFile(target, data, stream, limits) {
+  const options = limits.options;
+  if (
+    typeof data.size === "number" &&
+    limits.size + data.size > options.maxSize
+  ) {
+    stream.destroy();
+    throw new ArchiverError("SIZELIMITEXCEEDED", {
+      name: data.name,
+      limit: options.maxSize,
+    });
+  }
+  await removeExisting(target);
+  const guard = new Transform({
+    transform: function (chunk, encoding, callback) {
+      limits.size += chunk.length;
+      if (limits.size > options.maxSize) {
+        callback(
+          new ArchiverError("SIZELIMITEXCEEDED", {
+            name: data.name,
+            limit: options.maxSize,
+          }),
+        );
+        return;
+      }
+      if (limits.size > limits.archiveSize() * options.maxRatio) {
+        callback(
+          new ArchiverError("RATIOLIMITEXCEEDED", {
+            name: data.name,
+            limit: options.maxRatio,
+          }),
+        );
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+  await pipeline(stream, guard, createWriteStream(target));
+  await chmod(target, data.mode);
+  await utimes(target, data.date, data.date);
+}
+
+/**
+ * @private
+ * @param  {String} root
+ * @param  {String} target
+ * @param  {EntryData} data
+ * @return {Promise}
+ */
+async function extractSymlink(root, target, data) {
+  const linkname = normalizePath(data.linkname, false);
+  if (/^\w+:/.test(linkname) || linkname.startsWith("/")) {
+    throw new ArchiverError("ENTRYLINKINVALID", { name: data.name });
+  }
+  try {
+    await resolveLinkTarget(root, dirname(target), linkname, data.name);
+  } catch (err) {
+    throw new ArchiverError("ENTRYLINKINVALID", { name: data.name });
+  }
+  // a directory is never replaced, as entries were written into it
+  if (await isDirectory(target)) {
+    throw new ArchiverError("ENTRYLINKINVALID", { name: data.name });
+  }
+  await removeExisting(target);
+  await symlink(linkname, target);
+  await lutimes(target, data.date, data.date);
+}
+
+/**
+ * Checks a symlink against the extracted tree, removing it when it points
+ * outside the root.
+ *
+ * @private
+ * @param  {String} root
+ * @param  {String} target
+ * @param  {EntryData} data
+ * @return {Promise<Boolean>} Whether the symlink was kept.
+ */
+async function verifySymlink(root, target, data) {
+  const linkname = normalizePath(data.linkname, false);
+  try {
+    await resolveLinkTarget(root, dirname(target), linkname, data.name);
+    return true;
+  } catch (err) {
+    await rm(target, { force: true });
+    return false;
+  }
+}
+
+/**
+ * @private
+ * @param  {String} filepath
+ * @return {Promise<Boolean>}
+ */
+async function isDirectory(filepath) {
+  try {
+    return (await lstat(filepath)).isDirectory();
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw err;
+    }
+    return false;
+  }
+}
+
+/**
+ * @private
+ * @param  {String} root
+ * @param  {String} target
+ * @param  {EntryData} data
+ * @return {Promise}
+ */
+async function extractLink(root, target, data) {
+  let source;
+  try {
+    source = await resolveEntryPath(root, data.linkname);
+  } catch (err) {
+    throw new ArchiverError("ENTRYLINKINVALID", { name: data.name });
+  }
+  await removeExisting(target);
+  await link(source, target);
+}
+
+/**
+ * Counts the bytes of a streamed archive.
+ *
+ * @private
+ */
+class ByteCounter extends Transform {
+  constructor() {
+    super();
+    this.bytes = 0;
+  }
+  _transform(chunk, encoding, callback) {
+    this.bytes += chunk.length;
+    callback(null, chunk);
+  }
+}
+
+/**
+ * @typedef {Object} ExtractOptions
+ * @global
+ * @property {Number} [maxEntries=100000] The maximum number of entries.
+ * @property {Number} [maxRatio=1000] The maximum ratio between the extracted
+ * size and the archive size.
+ * @property {Number} [maxSize=4294967296] The maximum total uncompressed size
+ * in bytes.
+ * @property {String} [format] See {@link ReaderOptions}.
+ * @property {Boolean} [forceLocalTime=false] See {@link ReaderOptions}.
+ */
@@ -0,0 +1,101 @@
+import { ArchiverError } from "./error.js";
+import Ar from "./plugins/ar.js";
+import Cpio from "./plugins/cpio.js";
+import Deb from "./plugins/deb.js";
+import Json from "./plugins/json.js";
+import Tar from "./plugins/tar.js";
+import Zip from "./plugins/zip.js";
+
+/**
+ * Format Registry
+ *
+ * Maps format names to the plugin classes that write them and the kinds of
+ * entries they support.
+ *
+ * @module formats
+ * @license [MIT]{@link https://github.com/archiverjs/node-archiver/blob/master/LICENSE}
+ * @copyright (c) 2012-2014 Chris Talkington, contributors.
+ */
+
+/**
+ * Methods of the plugin contract.
+ */
+export const PLUGIN_METHODS = ["append", "finalize", "on", "pipe", "unpipe"];
+
+const formats = new Map();
+
+/**
+ * Registers a format, making it available to `createArchive`.
+ *
+ * @param  {String} name
+ * @param  {Function} PluginClass Called with `new` and the archive options.
+ * @param  {FormatCapabilities} [capabilities]
+ * @return void
+ */
+export function registerFormat(name, PluginClass, capabilities) {
+  if (typeof name !== "string" || name.length === 0) {
+    throw new ArchiverError("FORMATNAMEREQUIRED");
+  }
+  if (formats.has(name)) {
+    throw new ArchiverError("FORMATREGISTERED", { format: name });
+  }
+  const prototype = typeof PluginClass === "function" && PluginClass.prototype;
+  const missing = PLUGIN_METHODS.filter(function (method) {
+    return !prototype || typeof prototype[method] !== "function";
+  });
+  if (missing.length > 0) {
+    throw new ArchiverError("MODULEINVALID", {
+      format: name,
+      missing: missing,
+    });
+  }
+  capabilities = capabilities || {};
+  formats.set(name, {
+    PluginClass: PluginClass,
+    capabilities: {
+      directory: Boolean(capabilities.directory),
+      symlink: Boolean(capabilities.symlink),
+      hardlink: Boolean(capabilities.hardlink),
+      special: Boolean(capabilities.special),
+    },
+  });
+}
+
+/**
+ * @param  {String} name
+ * @return {Boolean}
+ */
+export function isFormatRegistered(name) {
+  return formats.has(name);
+}
+
+/**
+ * Returns the plugin class and capabilities of a registered format.
+ *
+ * @param  {String} name
+ * @return {{PluginClass: Function, capabilities: FormatCapabilities}}
+ */
+export function getFormat(name) {
+  if (!formats.has(name)) {
+    throw new ArchiverError("FORMATNOTREGISTERED", { format: name });
+  }
+  return formats.get(name);
+}
+
+registerFormat("zip", Zip, { directory: true, symlink: true });
+registerFormat("tar", Tar, { directory: true, symlink: true, hardlink: true });
+registerFormat("cpio", Cpio, { directory: true, symlink: true, special: true });
+registerFormat("ar", Ar);
+registerFormat("deb", Deb, { directory: true, symlink: true, hardlink: true });
+registerFormat("json", Json, { directory: true, symlink: true });
+
+/**
+ * @typedef {Object} FormatCapabilities
+ * @global
+ * @property {Boolean} [directory=false] Directory entries are supported.
+ * @property {Boolean} [symlink=false] Symlink entries are supported.
+ * @property {Boolean} [hardlink=false] Hardlink entries, with `type: 'link'`
+ * and the name of an earlier entry as `linkname`, are supported.
+ * @property {Boolean} [special=false] Character and block devices and fifos
+ * are supported.
+ */
@@ -0,0 +1,181 @@
+import { readFileSync } from "fs";
+import { join } from "path";
+
+/**
+ * Ignore Files
+ *
+ * Matches the paths of a directory walk against the ignore files found in
+ * it, eg. `.gitignore` or `.dockerignore`, with gitignore semantics.
+ *
+ * @module ignore
+ * @license [MIT]{@link https://github.com/archiverjs/node-archiver/blob/master/LICENSE}
+ * @copyright (c) 2012-2014 Chris Talkington, contributors.
+ */
+export default class IgnoreRules {
+  /**
+   * @constructor
+   * @param {String} root The directory being walked.
+   * @param {String[]} names The names of the ignore files to honor.
+   */
+  constructor(root, names) {
+    this.root = root;
+    this.names = names;
+    // rules of the ignore files, by directory relative to the root
+    this.rules = new Map();
+  }
+  /**
+   * Tells whether a path is ignored by the rules of the ignore files in its
+   * directory and the directories above it, up to the root. Later rules win,
+   * and rules of deeper files win over those of the files above them.
+   *
+   * The walker doesn't descend into ignored directories, so paths under
+   * them are never checked.
+   *
+   * @param  {String} relative The path relative to the root, `/` separated.
+   * @param  {Boolean} isDirectory
+   * @return {Boolean}
+   */
+  ignores(relative, isDirectory) {
+    const parts = relative.split("/");
+    const name = parts[parts.length - 1];
+    let ignored = false;
+    for (let depth = 0; depth < parts.length; depth++) {
+      const base = parts.slice(0, depth).join("/");
+      const path = parts.slice(depth).join("/");
+      for (const rule of this._rulesOf(base)) {
+        if (rule.directory && !isDirectory) {
+          continue;
+        }
+        if (rule.regexp.test(rule.anchored ? path : name)) {
+          ignored = !rule.negate;
+        }
+      }
+    }
+    return ignored;
+  }
+  /**
+   * Reads the rules of the ignore files in a directory, once.
+   *
+   * The walker decides synchronously whether to descend into a directory, so
+   * the files are read synchronously.
+   *
+   * @private
+   * @param  {String} base
+   * @return {Object[]}
+   */
+  _rulesOf(base) {
+    if (this.rules.has(base)) {
+      return this.rules.get(base);
+    }
+    const rules = [];
+    for (const name of this.names) {
+      let contents;
+      try {
+        contents = readFileSync(join(this.root, base, name), "utf8");
+      } catch (e) {
+        continue;
+      }
+      for (const line of contents.split(/\r?\n/)) {
+        const rule = parseRule(line);
+        if (rule) {
+          rules.push(rule);
+        }
+      }
+    }
+    this.rules.set(base, rules);
+    return rules;
+  }
+}
+
+/**
+ * Parses a line of an ignore file.
+ *
+ * @param  {String} line
+ * @return {?Object} `null` for blank lines and comments.
+ */
+function parseRule(line) {
+  // trailing spaces are ignored unless escaped
+  line = line.replace(/(^|[^\\])\s+$/, "$1");
+  if (line === "" || line.startsWith("#")) {
+    return null;
+  }
+  const rule = { negate: false, directory: false, anchored: false };
+  if (line.startsWith("!")) {
+    rule.negate = true;
+    line = line.slice(1);
+  } else if (line.startsWith("\\!") || line.startsWith("\\#")) {
+    line = line.slice(1);
+  }
+  if (line.endsWith("/")) {
+    rule.directory = true;
+    line = line.slice(0, -1);
+  }
+  // a slash at the beginning or middle anchors the pattern to its file
+  if (line.includes("/")) {
+    rule.anchored = true;
+    line = line.replace(/^\//, "");
+  }
+  if (line === "") {
+    return null;
+  }
+  rule.regexp = new RegExp("^" + globSource(line) + "$");
+  return rule;
+}
+
+/**
+ * Converts a gitignore glob to the source of a regular expression.
+ *
+ * @param  {String} glob
+ * @return {String}
+ */
+function globSource(glob) {
+  let source = "";
+  let i = 0;
+  while (i < glob.length) {
+    const char = glob[i];
+    if (glob.startsWith("**", i)) {
+      const leading = i === 0 || glob[i - 1] === "/";
+      const trailing = i + 2 === glob.length || glob[i + 2] === "/";
+      if (leading && trailing) {
+        if (i + 2 === glob.length) {
+          // `foo/**` matches everything inside foo
+          source += ".*";
+          i += 2;
+        } else {
+          // `**/` matches zero or more directories
+          source += "(?:.*/)?";
+          i += 3;
+        }
+        continue;
+      }
+    }
+    if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "\\" && i + 1 < glob.length) {
+      i++;
+      source += escapeRegExp(glob[i]);
+    } else if (char === "[") {
+      const end = glob.indexOf("]", i + 2);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        let set = glob.slice(i + 1, end);
+        if (set.startsWith("!") || set.startsWith("^")) {
+          set = "^" + set.slice(1);
+        }
+        source += "[" + set.replace(/[\\\]]/g, "\\$&") + "]";
+        i = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+    i++;
+  }
+  return source;
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
@@ -0,0 +1,183 @@
+import { posix } from "path";
+import { PassThrough } from "readable-stream";
+import { ArchiverError } from "../error.js";
+import { collectStream } from "../utils.js";
+
+const MAGIC = "!<arch>\n";
+
+/**
+ * AR Format Plugin
+ *
+ * Writes common `!<arch>` archives with GNU style names: names of up to 15
+ * bytes are stored in the member header and longer ones in a `//` name
+ * table. Readers only look for the table at the start of the archive, so the
+ * members are held in memory until the archive is finalized.
+ *
+ * @module plugins/ar
+ * @license [MIT]{@link https://github.com/archiverjs/node-archiver/blob/master/LICENSE}
+ * @copyright (c) 2012-2014 Chris Talkington, contributors.
+ */
+export default class Ar {
+  /**
+   * @constructor
+   * @param {Object} options
+   */
+  constructor(options) {
+    this.options = { ...options };
+    this.engine = new PassThrough();
+    this.engine.write(MAGIC);
+    this.members = [];
+  }
+  /**
+   * Encodes the header of a member.
+   *
+   * @private
+   * @param  {String} name The name field, eg. `name/` or `/0`.
+   * @param  {EntryData} data
+   * @param  {Number} size
+   * @return {Buffer}
+   */
+  _encodeHeader(name, data, size) {
+    const fields = [
+      [name, 16],
+      [String(Math.floor((data.date || new Date(0)).getTime() / 1000)), 12],
+      [String(data.uid || 0), 6],
+      [String(data.gid || 0), 6],
+      [(0o100000 | (data.mode & 4095)).toString(8), 8],
+      [String(size), 10],
+    ];
+    let header = "";
+    for (const [value, length] of fields) {
+      if (Buffer.byteLength(value) > length) {
+        throw new ArchiverError("ARFIELDOVERFLOW", { name: data.name });
+      }
+      header += value + " ".repeat(length - Buffer.byteLength(value));
+    }
+    return Buffer.from(header + "`\n");
+  }
+  /**
+   * Holds a file as a member until the archive is finalized, under its base
+   * name. Other entry types aren't supported, and fields that don't fit the
+   * member header are reported here rather than when writing.
+   *
+   * @param  {(Buffer|Stream)} source
+   * @param  {EntryData} data
+   * @param  {Function} callback
+   * @return void
+   */
+  append(source, data, callback) {
+    var self = this;
+    if (data.type !== "file") {
+      callback(new ArchiverError("ENTRYNOTSUPPORTED", data));
+      return;
+    }
+    // like ar itself, members are stored by their base name
+    const name = posix.basename(data.name);
+    function append(err, contents) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      data.size = contents.length;
+      try {
+        // the name field is only known once the name table is built
+        self._encodeHeader("/0", data, contents.length);
+      } catch (err) {
+        callback(err);
+        return;
+      }
+      self.members.push({ name: name, data: data, contents: contents });
+      callback(null, data);
+    }
+    if (Buffer.isBuffer(source)) {
+      append(null, source);
+    } else {
+      collectStream(source, append);
+    }
+  }
+  /**
+   * Writes the name table, when there are long names, and the members.
+   *
+   * @private
+   * @return void
+   */
+  _writeMembers() {
+    let table = "";
+    const members = this.members.map(function ({ name, data, contents }) {
+      if (Buffer.byteLength(name) <= 15) {
+        return { field: name + "/", data: data, contents: contents };
+      }
+      const field = "/" + Buffer.byteLength(table);
+      table += name + "/\n";
+      return { field: field, data: data, contents: contents };
+    });
+    if (table.length > 0) {
+      table = Buffer.from(table);
+      // the name table header only holds its size
+      this.engine.write(
+        Buffer.from(
+          "//".padEnd(48) + String(table.length).padEnd(10) + "`\n",
+          "latin1",
+        ),
+      );
+      this.engine.write(table);
+      this.engine.write(padding(table.length));
+    }
+    for (const { field, data, contents } of members) {
+      this.engine.write(this._encodeHeader(field, data, contents.length));
+      this.engine.write(contents);
+      this.engine.write(padding(contents.length));
+    }
+  }
+  /**
+   * Writes the name table and the members, then ends the archive.
+   *
+   * @return void
+   */
+  finalize() {
+    try {
+      this._writeMembers();
+    } catch (err) {
+      this.engine.emit("error", err);
+      return;
+    }
+    this.engine.end();
+  }
+  /**
+   * Listens to the engine.
+   *
+   * @return this.engine
+   */
+  on() {
+    return this.engine.on.apply(this.engine, arguments);
+  }
+  /**
+   * Pipes the archive.
+   *
+   * @param  {String} destination
+   * @param  {Object} options
+   * @return this.engine
+   */
+  pipe(destination, options) {
+    return this.engine.pipe.apply(this.engine, arguments);
+  }
+  /**
+   * Unpipes the archive.
+   *
+   * @return this.engine
+   */
+  unpipe() {
+    return this.engine.unpipe.apply(this.engine, arguments);
+  }
+}
+
+/**
+ * The newline that pads odd sized contents to an even length.
+ *
+ * @private
+ * @param  {Number} length
+ * @return {Buffer}
+ */
+function padding(length) {
+  return Buffer.from(length % 2 ? "\n" : "");
+}
@@ -0,0 +1,340 @@
+import { PassThrough, Transform } from "readable-stream";
+import { ArchiverError } from "../error.js";
+import {
+  collectStream,
+  createCompressor,
+  GzipHeaderNormalizer,
+} from "../utils.js";
+
+const CPIO_FORMATS = {
+  newc: "070701",
+  crc: "070702",
+};
+
+const S_IFMT = {
+  file: 0o100000,
+  directory: 0o040000,
+  symlink: 0o120000,
+  "character-device": 0o020000,
+  "block-device": 0o060000,
+  fifo: 0o010000,
+};
+
+const TRAILER = "TRAILER!!!";
+
+/**
+ * CPIO Format Plugin
+ *
+ * Writes SVR4 portable cpio archives in the `newc` format used by initramfs
+ * images and RPM payloads, or its `crc` variant with per-file checksums.
+ *
+ * @module plugins/cpio
+ * @license [MIT]{@link https://github.com/archiverjs/node-archiver/blob/master/LICENSE}
+ * @copyright (c) 2012-2014 Chris Talkington, contributors.
+ */
+export default class Cpio {
+  /**
+   * @constructor
+   * @param {CpioOptions} options
+   */
+  constructor(options) {
+    options = this.options = {
+      cpioFormat: "newc",
+      gzip: false,
+      ...options,
+    };
+    if (!options.compression) {
+      options.compression = options.gzip ? "gzip" : "none";
+    }
+    for (const key of ["gzipOptions", "brotliOptions", "zstdOptions"]) {
+      if (typeof options[key] !== "object") {
+        options[key] = {};
+      }
+    }
+    if (!Object.hasOwn(CPIO_FORMATS, options.cpioFormat)) {
+      throw new ArchiverError("CPIOFORMATINVALID", {
+        cpioFormat: options.cpioFormat,
+      });
+    }
+    this.engine = new PassThrough();
+    this.compressor = createCompressor(options.compression, options);
+    this.gzipHeader = false;
+    if (this.compressor) {
+      this.compressor.on("error", this._onCompressorError.bind(this));
+    }
+    if (options.compression === "gzip" && options.deterministic) {
+      this.gzipHeader = new GzipHeaderNormalizer();
+    }
+    this.ino = 0;
+  }
+  /**
+   * Forwards compressor errors to the engine, so that they reach the
+   * archive.
+   *
+   * @private
+   * @param  {Error} err
+   * @return void
+   */
+  _onCompressorError(err) {
+    this.engine.emit("error", err);
+  }
+  /**
+   * Encodes the header and name of an entry, padded to 4 bytes.
+   *
+   * @private
+   * @param  {CpioEntryData} data
+   * @param  {Number} size The size of the entry contents.
+   * @param  {Number} check The checksum of the contents in the `crc` format.
+   * @return {Buffer}
+   */
+  _encodeHeader(data, size, check) {
+    // directory names have no trailing slash
+    const name = Buffer.from(data.name.replace(/\/+$/, "") + "\0");
+    const fields = [
+      data.type === TRAILER ? 0 : ++this.ino,
+      (S_IFMT[data.type] || 0) |
+        (typeof data.mode === "number" ? data.mode & 4095 : 511),
+      data.uid || 0,
+      data.gid || 0,
+      data.type === "directory" ? 2 : 1,
+      Math.floor((data.date || new Date()).getTime() / 1000),
+      size,
+      0,
+      0,
+      data.devmajor || 0,
+      data.devminor || 0,
+      name.length,
+      check,
+    ];
+    let header = CPIO_FORMATS[this.options.cpioFormat];
+    for (const value of fields) {
+      if (value < 0 || value > 0xffffffff) {
+        throw new ArchiverError("CPIOFIELDOVERFLOW", { name: data.name });
+      }
+      header += value.toString(16).padStart(8, "0");
+    }
+    return Buffer.concat([
+      Buffer.from(header, "latin1"),
+      name,
+      padding(header.length + name.length),
+    ]);
+  }
+  /**
+   * Writes the header and contents of an entry. Symlinks store their target
+   * as contents and other entries that aren't files are empty.
+   *
+   * Files are streamed when their size is known from their stats in the
+   * `newc` format, and are otherwise buffered since the header holds their
+   * size and, in the `crc` format, their checksum.
+   *
+   * @param  {(Buffer|Stream)} source
+   * @param  {CpioEntryData} data
+   * @param  {Function} callback
+   * @return void
+   */
+  append(source, data, callback) {
+    var self = this;
+    if (!Object.hasOwn(S_IFMT, data.type)) {
+      callback(new ArchiverError("ENTRYNOTSUPPORTED", data));
+      return;
+    }
+    if (data.type === "symlink") {
+      source = Buffer.from(data.linkname);
+    } else if (data.type !== "file") {
+      source = Buffer.alloc(0);
+    }
+    function append(err, contents) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      let check = 0;
+      if (self.options.cpioFormat === "crc") {
+        for (let i = 0; i < contents.length; i++) {
+          check = (check + contents[i]) >>> 0;
+        }
+      }
+      let header;
+      try {
+        header = self._encodeHeader(data, contents.length, check);
+      } catch (err) {
+        callback(err);
+        return;
+      }
+      data.size = contents.length;
+      self.engine.write(header);
+      self.engine.write(contents);
+      self.engine.write(padding(contents.length));
+      callback(null, data);
+    }
+    if (Buffer.isBuffer(source)) {
+      append(null, source);
+    } else if (data.stats && this.options.cpioFormat === "newc") {
+      this._appendStream(source, data, callback);
+    } else {
+      // the header holds the size, and the checksum in the crc format
+      collectStream(source, append);
+    }
+  }
+  /**
+   * Streams the contents of an entry whose size is known from its stats,
+   * writing at most that many bytes.
+   *
+   * The header is written first, so a source that fails or doesn't match its
+   * size leaves a partial entry and destroys the engine.
+   *
+   * @private
+   * @param  {Stream} source
+   * @param  {CpioEntryData} data
+   * @param  {Function} callback
+   * @return void
+   */
+  _appendStream(source, data, callback) {
+    var self = this;
+    const size = data.stats.size;
+    let header;
+    try {
+      header = this._encodeHeader(data, size, 0);
+    } catch (err) {
+      callback(err);
+      return;
+    }
+    let read = 0;
+    let failed = false;
+    function fail(err) {
+      if (failed) {
+        return;
+      }
+      failed = true;
+      source.unpipe(limiter);
+      limiter.unpipe(self.engine);
+      self.engine.destroy(err);
+      callback(err);
+    }
+    const limiter = new Transform({
+      transform(chunk, encoding, done) {
+        read += chunk.length;
+        if (read > size) {
+          fail(new ArchiverError("ENTRYSIZEMISMATCH", { name: data.name }));
+          done();
+          return;
+        }
+        done(null, chunk);
+      },
+    });
+    data.size = size;
+    this.engine.write(header);
+    source.on("error", function (err) {
+      fail(
+        new ArchiverError("ENTRYREADFAILED", {
+          name: data.name,
+          path: data.sourcePath,
+          cause: err,
+        }),
+      );
+    });
+    limiter.on("end", function () {
+      if (read !== size) {
+        fail(new ArchiverError("ENTRYSIZEMISMATCH", { name: data.name }));
+        return;
+      }
+      if (failed) {
+        return;
+      }
+      self.engine.write(padding(size));
+      callback(null, data);
+    });
+    source.pipe(limiter).pipe(this.engine, { end: false });
+  }
+  /**
+   * Ends the archive with the `TRAILER!!!` entry.
+   *
+   * @return void
+   */
+  finalize() {
+    this.engine.end(
+      this._encodeHeader(
+        { type: TRAILER, name: TRAILER, mode: 0, date: new Date(0) },
+        0,
+        0,
+      ),
+    );
+  }
+  /**
+   * Listens to the engine.
+   *
+   * @return this.engine
+   */
+  on() {
+    return this.engine.on.apply(this.engine, arguments);
+  }
+  /**
+   * Pipes the archive, through the compressor when compressing.
+   *
+   * @param  {String} destination
+   * @param  {Object} options
+   * @return this.engine
+   */
+  pipe(destination, options) {
+    if (this.compressor && this.gzipHeader) {
+      return this.engine.pipe
+        .apply(this.engine, [this.compressor])
+        .pipe(this.gzipHeader)
+        .pipe(destination, options);
+    } else if (this.compressor) {
+      return this.engine.pipe
+        .apply(this.engine, [this.compressor])
+        .pipe(destination, options);
+    } else {
+      return this.engine.pipe.apply(this.engine, arguments);
+    }
+  }
+  /**
+   * Unpipes the archive from the last stream of the compression chain.
+   *
+   * @return this.engine
+   */
+  unpipe() {
+    if (this.gzipHeader) {
+      return this.gzipHeader.unpipe.apply(this.gzipHeader, arguments);
+    } else if (this.compressor) {
+      return this.compressor.unpipe.apply(this.compressor, arguments);
+    } else {
+      return this.engine.unpipe.apply(this.engine, arguments);
+    }
+  }
+}
+
+/**
+ * The zero bytes that pad a length to a multiple of 4.
+ *
+ * @private
+ * @param  {Number} length
+ * @return {Buffer}
+ */
+function padding(length) {
+  return Buffer.alloc((4 - (length % 4)) % 4);
+}
+
+/**
+ * @typedef {Object} CpioOptions
+ * @global
+ * @property {String} [cpioFormat="newc"] Sets the header format, `newc` or
+ * `crc`.
+ * @property {String} [compression="none"] Compresses the archive using
+ * `gzip`, `brotli` or `zstd`.
+ * @property {Boolean} [gzip=false] Shorthand for `compression: 'gzip'`.
+ * @property {Object} [gzipOptions] Passed to zlib to control gzip compression.
+ * @property {Object} [brotliOptions] Passed to zlib to control brotli
+ * compression.
+ * @property {Object} [zstdOptions] Passed to zlib to control zstd compression.
+ */
+
+/**
+ * @typedef {Object} CpioEntryData
+ * @global
+ * @property {String} [type] `file`, `directory`, `symlink`,
+ * `character-device`, `block-device` or `fifo`.
+ * @property {Number} [devmajor] The major number of a device node.
+ * @property {Number} [devminor] The minor number of a device node.
+ */
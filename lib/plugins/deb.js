@@ -0,0 +1,411 @@
+import { posix } from "path";
+import { PassThrough } from "readable-stream";
+import Checksums from "../checksums.js";
+import { ArchiverError } from "../error.js";
+import { collectStream, deterministicDate } from "../utils.js";
+import Ar from "./ar.js";
+import Tar from "./tar.js";
+
+const REQUIRED_FIELDS = [
+  "Package",
+  "Version",
+  "Architecture",
+  "Maintainer",
+  "Description",
+];
+
+const SCRIPTS = ["preinst", "postinst", "prerm", "postrm", "config"];
+
+const DATA_EXTENSIONS = {
+  gzip: ".gz",
+  zstd: ".zst",
+};
+
+/**
+ * DEB Format Plugin
+ *
+ * Builds Debian binary packages: an ar archive holding `debian-binary`,
+ * `control.tar.gz` and `data.tar.gz` or `data.tar.zst`. Entries go to the
+ * data archive, which is held in memory since the control archive that comes
+ * before it lists the md5sums and `Installed-Size` of its contents.
+ *
+ * @module plugins/deb
+ * @license [MIT]{@link https://github.com/archiverjs/node-archiver/blob/master/LICENSE}
+ * @copyright (c) 2012-2014 Chris Talkington, contributors.
+ */
+export default class Deb {
+  /**
+   * @constructor
+   * @param {DebOptions} options
+   */
+  constructor(options) {
+    options = this.options = {
+      control: {},
+      scripts: {},
+      conffiles: [],
+      compression: "gzip",
+      ...options,
+    };
+    for (const field of REQUIRED_FIELDS) {
+      if (!options.control[field]) {
+        throw new ArchiverError("DEBCONTROLINVALID", { field: field });
+      }
+    }
+    if (!Object.hasOwn(DATA_EXTENSIONS, options.compression)) {
+      throw new ArchiverError("COMPRESSIONNOTSUPPORTED", {
+        compression: options.compression,
+      });
+    }
+    this.date = options.deterministic
+      ? deterministicDate(options.deterministic.date)
+      : new Date();
+    this.ar = new Ar(options);
+    this.engine = this.ar.engine;
+    this.md5sums = new Checksums("md5", "md5sums");
+    // Installed-Size in KiB, counting a block for each non-file entry
+    this.installedSize = 0;
+    // the directories of the data archive, which dpkg needs before their
+    // contents, eg. `./` and `./usr/`
+    this.directories = new Set();
+    this.dataTar = this._createTar(options.compression);
+    // the data archive ends once it is finalized
+    collectStream(
+      this.dataTar.pipe(new PassThrough()),
+      function (err, dataArchive) {
+        if (err) {
+          this.engine.emit("error", err);
+          return;
+        }
+        this._writePackage(dataArchive);
+      }.bind(this),
+    );
+  }
+  /**
+   * Creates a tar plugin for one of the package archives.
+   *
+   * @private
+   * @param  {String} compression
+   * @return {Tar}
+   */
+  _createTar(compression) {
+    const options = this.options;
+    const tar = new Tar({
+      compression: compression,
+      gzipOptions: options.gzipOptions,
+      zstdOptions: options.zstdOptions,
+      deterministic: options.deterministic,
+      tarFormat: options.tarFormat,
+    });
+    tar.on(
+      "error",
+      function (err) {
+        this.engine.emit("error", err);
+      }.bind(this),
+    );
+    return tar;
+  }
+  /**
+   * Writes the directories above an entry that the data archive doesn't have
+   * yet, from the root down, owned by root with mode 0755.
+   *
+   * @private
+   * @param  {String} name The entry name, relative to the root.
+   * @param  {Function} callback
+   * @return void
+   */
+  _appendParents(name, callback) {
+    const parents = [];
+    for (
+      let parent = posix.dirname(name.replace(/\/$/, ""));
+      ;
+      parent = posix.dirname(parent)
+    ) {
+      const dirname = parent === "." ? "./" : "./" + parent + "/";
+      if (this.directories.has(dirname)) {
+        break;
+      }
+      parents.unshift(dirname);
+      if (parent === ".") {
+        break;
+      }
+    }
+    const next = function (i) {
+      if (i === parents.length) {
+        callback(null);
+        return;
+      }
+      this.directories.add(parents[i]);
+      this.installedSize += 1;
+      this.dataTar.append(
+        Buffer.alloc(0),
+        {
+          name: parents[i],
+          type: "directory",
+          sourceType: "buffer",
+          mode: 493,
+          date: this.date,
+          uid: 0,
+          gid: 0,
+          uname: "root",
+          gname: "root",
+        },
+        function (err) {
+          if (err) {
+            callback(err);
+            return;
+          }
+          next(i + 1);
+        },
+      );
+    }.bind(this);
+    next(0);
+  }
+  /**
+   * Adds an entry to the data archive, below `./`, after its parent
+   * directories, and records the md5sum of files.
+   *
+   * @param  {(Buffer|Stream)} source
+   * @param  {TarEntryData} data
+   * @param  {Function} callback
+   * @return void
+   */
+  append(source, data, callback) {
+    var self = this;
+    // package contents are relative to the root, eg. `./usr/bin/tool`
+    const entry = { ...data, name: "./" + data.name };
+    let checksum = null;
+    if (data.type === "file") {
+      checksum = this.md5sums.hash(source);
+      source = checksum.source;
+    }
+    this._appendParents(data.name, function (err) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      self._appendEntry(source, entry, data, checksum, callback);
+    });
+  }
+  /**
+   * @private
+   * @param  {(Buffer|Stream)} source
+   * @param  {TarEntryData} entry The entry of the data archive.
+   * @param  {TarEntryData} data
+   * @param  {?Object} checksum
+   * @param  {Function} callback
+   * @return void
+   */
+  _appendEntry(source, entry, data, checksum, callback) {
+    var self = this;
+    this.dataTar.append(source, entry, function (err) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      data.size = entry.size;
+      if (entry.type === "directory") {
+        // a directory may already have been written as a parent
+        if (!self.directories.has(entry.name)) {
+          self.directories.add(entry.name);
+          self.installedSize += 1;
+        }
+      } else if (entry.type === "file") {
+        self.installedSize += Math.ceil(entry.size / 1024);
+      } else if (entry.type !== "link") {
+        self.installedSize += 1;
+      }
+      if (!checksum) {
+        callback(null, data);
+        return;
+      }
+      checksum.digest(function (err, sums) {
+        if (err) {
+          callback(err);
+          return;
+        }
+        self.md5sums.add(data.name, sums);
+        callback(null, data);
+      });
+    });
+  }
+  /**
+   * Formats the control file, adding `Installed-Size` unless it is set.
+   *
+   * @private
+   * @return {String}
+   */
+  _control() {
+    let fields = this.options.control;
+    if (fields["Installed-Size"] === undefined) {
+      // Installed-Size goes after Architecture, as dpkg-gencontrol writes it
+      fields = {};
+      for (const [name, value] of Object.entries(this.options.control)) {
+        fields[name] = value;
+        if (name === "Architecture") {
+          fields["Installed-Size"] = this.installedSize;
+        }
+      }
+    }
+    return Object.entries(fields)
+      .map(function ([name, value]) {
+        if (Array.isArray(value)) {
+          value = value.join(", ");
+        }
+        // continuation lines are indented, with empty lines written as "."
+        const lines = String(value).replace(/\n+$/, "").split("\n");
+        return (
+          name +
+          ": " +
+          lines
+            .map(function (line, i) {
+              if (i === 0) {
+                return line;
+              }
+              return " " + (line.trim() === "" ? "." : line);
+            })
+            .join("\n")
+        );
+      })
+      .join("\n")
+      .concat("\n");
+  }
+  /**
+   * Builds the control archive from the control fields, md5sums, maintainer
+   * scripts and conffiles.
+   *
+   * @private
+   * @param  {Function} callback
+   * @return void
+   */
+  _buildControl(callback) {
+    const options = this.options;
+    const tar = this._createTar("gzip");
+    const date = this.date;
+    collectStream(tar.pipe(new PassThrough()), callback);
+    const members = [
+      ["control", this._control(), 420],
+      ["md5sums", this.md5sums.manifest(), 420],
+    ];
+    for (const script of SCRIPTS) {
+      if (options.scripts[script]) {
+        members.push([script, options.scripts[script], 493]);
+      }
+    }
+    if (options.conffiles.length > 0) {
+      members.push(["conffiles", options.conffiles.join("\n") + "\n", 420]);
+    }
+    (function next(i) {
+      if (i === members.length) {
+        tar.finalize();
+        return;
+      }
+      const [name, contents, mode] = members[i];
+      tar.append(
+        Buffer.from(contents),
+        {
+          name: "./" + name,
+          type: "file",
+          sourceType: "buffer",
+          mode: mode,
+          date: date,
+          uname: "root",
+          gname: "root",
+        },
+        function (err) {
+          if (err) {
+            callback(err);
+            return;
+          }
+          next(i + 1);
+        },
+      );
+    })(0);
+  }
+  /**
+   * Writes the package members once the data archive is complete.
+   *
+   * @private
+   * @param  {Buffer} dataArchive
+   * @return void
+   */
+  _writePackage(dataArchive) {
+    var self = this;
+    this._buildControl(function (err, controlArchive) {
+      if (err) {
+        self.engine.emit("error", err);
+        return;
+      }
+      const members = [
+        ["debian-binary", Buffer.from("2.0\n")],
+        ["control.tar.gz", controlArchive],
+        ["data.tar" + DATA_EXTENSIONS[self.options.compression], dataArchive],
+      ];
+      for (const [name, contents] of members) {
+        self.ar.append(
+          contents,
+          {
+            name: name,
+            type: "file",
+            sourceType: "buffer",
+            mode: 420,
+            date: self.date,
+          },
+          function (err) {
+            if (err) {
+              self.engine.emit("error", err);
+            }
+          },
+        );
+      }
+      self.ar.finalize();
+    });
+  }
+  /**
+   * Finalizes the data archive. The package members are written once it has
+   * been collected, since the control archive depends on its contents.
+   *
+   * @return void
+   */
+  finalize() {
+    this.dataTar.finalize();
+  }
+  /**
+   * Listens to the ar archive holding the package members.
+   *
+   * @return this.engine
+   */
+  on() {
+    return this.ar.on.apply(this.ar, arguments);
+  }
+  /**
+   * Pipes the package, written by the ar archive.
+   *
+   * @param  {String} destination
+   * @param  {Object} options
+   * @return this.engine
+   */
+  pipe(destination, options) {
+    return this.ar.pipe.apply(this.ar, arguments);
+  }
+  /**
+   * Unpipes the package.
+   *
+   * @return this.engine
+   */
+  unpipe() {
+    return this.ar.unpipe.apply(this.ar, arguments);
+  }
+}
+
+/**
+ * @typedef {Object} DebOptions
+ * @global
+ * @property {Object} control The control fields, eg. `Package`, `Version`,
+ * `Architecture`, `Maintainer` and `Description`, which are required. Array
+ * values are joined with commas.
+ * @property {Object} [scripts] The `preinst`, `postinst`, `prerm`, `postrm`
+ * and `config` maintainer scripts.
+ * @property {String[]} [conffiles] The absolute paths of configuration files.
+ * @property {String} [compression="gzip"] Compresses the data archive using
+ * `gzip` or `zstd`.
+ */
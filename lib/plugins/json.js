@@ -1,6 +1,10 @@
+import * as buffer from "buffer";
+import { createHash, getHashes } from "crypto";
 import { Transform } from "readable-stream";
 import crc32 from "buffer-crc32";
-import { collectStream } from "../utils.js";
+import { ArchiverError } from "../error.js";
+
+const CONTENT_ENCODINGS = ["base64", "utf8-or-base64"];
 
 /**
  * JSON Format Plugin
@@ -15,8 +19,38 @@ export default class Json extends Transform {
    * @param {(JsonOptions|TransformOptions)} options
    */
   constructor(options) {
-    super({ ...options });
+    // signals are handled by the archive, not by destroying the stream
+    super({ ...options, signal: null });
+    this.options = {
+      format: "json",
+      streaming: false,
+      includeContent: false,
+      hashes: [],
+      ...options,
+    };
+    if (!["json", "ndjson"].includes(this.options.format)) {
+      throw new ArchiverError("JSONFORMATINVALID", {
+        format: this.options.format,
+      });
+    }
+    if (
+      this.options.includeContent &&
+      !CONTENT_ENCODINGS.includes(this.options.includeContent)
+    ) {
+      throw new ArchiverError("JSONCONTENTINVALID", {
+        includeContent: this.options.includeContent,
+      });
+    }
+    const supported = getHashes();
+    for (const algorithm of this.options.hashes) {
+      if (!supported.includes(algorithm)) {
+        throw new ArchiverError("CHECKSUMALGORITHMINVALID", {
+          algorithm: algorithm,
+        });
+      }
+    }
     this.files = [];
+    this.written = 0;
   }
   /**
    * [_transform description]
@@ -40,6 +74,23 @@ export default class Json extends Transform {
     var fileString = JSON.stringify(this.files);
     this.write(fileString);
   }
+  /**
+   * Writes the entry as soon as it is appended, as a line in `ndjson` mode or
+   * as the next element of the array in `streaming` mode.
+   *
+   * @private
+   * @param  {EntryData} data
+   * @return void
+   */
+  _writeEntry(data) {
+    var entryString = JSON.stringify(data);
+    if (this.options.format === "ndjson") {
+      this.write(entryString + "\n");
+    } else {
+      this.write((this.written === 0 ? "[" : ",") + entryString);
+    }
+    this.written++;
+  }
   /**
    * [append description]
    *
@@ -50,21 +101,49 @@ export default class Json extends Transform {
    */
   append(source, data, callback) {
     var self = this;
+    var options = this.options;
+    var streaming = options.format === "ndjson" || options.streaming;
+    var hashes = options.hashes.map(function (algorithm) {
+      return createHash(algorithm);
+    });
+    var chunks = options.includeContent ? [] : null;
+    data.size = 0;
     data.crc32 = 0;
-    function onend(err, sourceBuffer) {
-      if (err) {
-        callback(err);
-        return;
+    function update(chunk) {
+      data.size += chunk.length;
+      data.crc32 = crc32.unsigned(chunk, data.crc32);
+      hashes.forEach(function (hash) {
+        hash.update(chunk);
+      });
+      if (chunks) {
+        chunks.push(chunk);
+      }
+    }
+    function onend() {
+      if (data.type === "file" && hashes.length > 0) {
+        data.hashes = {};
+        options.hashes.forEach(function (algorithm, i) {
+          data.hashes[algorithm] = hashes[i].digest("hex");
+        });
+      }
+      if (data.type === "file" && chunks) {
+        encodeContent(data, Buffer.concat(chunks), options.includeContent);
+      }
+      if (streaming) {
+        self._writeEntry(data);
+      } else {
+        self.files.push(data);
       }
-      data.size = sourceBuffer.length || 0;
-      data.crc32 = crc32.unsigned(sourceBuffer);
-      self.files.push(data);
       callback(null, data);
     }
     if (data.sourceType === "buffer") {
-      onend(null, source);
+      update(source);
+      onend();
     } else if (data.sourceType === "stream") {
-      collectStream(source, onend);
+      // hash the contents as they flow instead of collecting them
+      source.on("error", callback);
+      source.on("data", update);
+      source.on("end", onend);
     }
   }
   /**
@@ -73,7 +152,59 @@ export default class Json extends Transform {
    * @return void
    */
   finalize() {
-    this._writeStringified();
+    if (this.options.format === "ndjson") {
+      this.end();
+      return;
+    }
+    if (!this.options.streaming) {
+      this._writeStringified();
+    } else if (this.written === 0) {
+      this.write("[]");
+    } else {
+      this.write("]");
+    }
     this.end();
   }
 }
+
+const utf8Decoder = new TextDecoder("utf-8", { fatal: true });
+
+/**
+ * Tells whether a buffer is valid UTF-8. `buffer.isUtf8` is only available
+ * from Node.js 18.14.
+ *
+ * @private
+ * @param  {Buffer} contents
+ * @return {Boolean}
+ */
+function isUtf8(contents) {
+  if (typeof buffer.isUtf8 === "function") {
+    return buffer.isUtf8(contents);
+  }
+  try {
+    utf8Decoder.decode(contents);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Embeds the contents of an entry, as UTF-8 text when the `utf8-or-base64`
+ * encoding is used and they are valid UTF-8, or as base64.
+ *
+ * @private
+ * @param  {EntryData} data
+ * @param  {Buffer} contents
+ * @param  {String} encoding
+ * @return void
+ */
+function encodeContent(data, contents, encoding) {
+  if (encoding === "utf8-or-base64" && isUtf8(contents)) {
+    data.contentEncoding = "utf8";
+    data.content = contents.toString("utf8");
+  } else {
+    data.contentEncoding = "base64";
+    data.content = contents.toString("base64");
+  }
+}
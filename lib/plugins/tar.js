@@ -1,6 +1,16 @@
-import zlib from "zlib";
+import { createHash } from "crypto";
+import { createReadStream } from "fs";
+import { open } from "fs/promises";
+import { posix } from "path";
 import engine from "tar-stream";
-import { collectStream } from "../utils.js";
+import { ArchiverError } from "../error.js";
+import { encodeTarHeader, TAR_FORMATS } from "../tar-headers.js";
+import {
+  collectStream,
+  createCompressor,
+  dateify,
+  GzipHeaderNormalizer,
+} from "../utils.js";
 
 /**
  * TAR Format Plugin
@@ -17,17 +27,45 @@ export default class Tar {
   constructor(options) {
     options = this.options = {
       gzip: false,
+      hardlinks: false,
+      dedupe: false,
+      sparse: false,
       ...options,
     };
-    if (typeof options.gzipOptions !== "object") {
-      options.gzipOptions = {};
+    if (!options.compression) {
+      options.compression = options.gzip ? "gzip" : "none";
     }
-    this.engine = engine.pack(options);
-    this.compressor = false;
-    if (options.gzip) {
-      this.compressor = zlib.createGzip(options.gzipOptions);
+    for (const key of ["gzipOptions", "brotliOptions", "zstdOptions"]) {
+      if (typeof options[key] !== "object") {
+        options[key] = {};
+      }
+    }
+    if (options.tarFormat && !TAR_FORMATS.includes(options.tarFormat)) {
+      throw new ArchiverError("TARFORMATINVALID", {
+        tarFormat: options.tarFormat,
+      });
+    }
+    // signals are handled by the archive, not by destroying the engine
+    this.engine = engine.pack({ ...options, signal: null });
+    const encode = this.engine._encode;
+    this.engine._encode = function (header) {
+      if (header[ENCODED_HEADER]) {
+        this.push(header[ENCODED_HEADER]);
+      } else {
+        encode.call(this, header);
+      }
+    };
+    this.compressor = createCompressor(options.compression, options);
+    this.gzipHeader = false;
+    if (this.compressor) {
       this.compressor.on("error", this._onCompressorError.bind(this));
     }
+    if (options.compression === "gzip" && options.deterministic) {
+      this.gzipHeader = new GzipHeaderNormalizer();
+    }
+    // the first entry name of each inode and of each content hash
+    this.inodes = new Map();
+    this.hashes = new Map();
   }
   /**
    * [_onCompressorError description]
@@ -50,12 +88,59 @@ export default class Tar {
   append(source, data, callback) {
     var self = this;
     data.mtime = data.date;
+    this._findLinkTarget(source, data, function (err, target, keys) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      // later entries only link to this one once it is written
+      function done(err) {
+        if (!err && keys) {
+          if (keys.inode) {
+            self.inodes.set(keys.inode, data.name);
+          }
+          if (keys.hash) {
+            self.hashes.set(keys.hash, data.name);
+          }
+        }
+        callback.apply(null, arguments);
+      }
+      if (target !== null) {
+        data.type = "link";
+        data.linkname = target;
+        self._entry(data, null, function (err) {
+          callback(err, data);
+        });
+      } else if (
+        self.options.sparse &&
+        // sparse maps are pax records, so other formats store every byte
+        (!self.options.tarFormat || self.options.tarFormat === "pax") &&
+        data.type === "file" &&
+        data.sourcePath &&
+        data.stats &&
+        mayHaveHoles(data.stats)
+      ) {
+        self._appendSparse(source, data, done);
+      } else {
+        self._append(source, data, done);
+      }
+    });
+  }
+  /**
+   * @private
+   * @param  {(Buffer|Stream)} source
+   * @param  {TarEntryData} data
+   * @param  {Function} callback
+   * @return void
+   */
+  _append(source, data, callback) {
+    var self = this;
     function append(err, sourceBuffer) {
       if (err) {
         callback(err);
         return;
       }
-      self.engine.entry(data, sourceBuffer, function (err) {
+      self._entry(data, sourceBuffer, function (err) {
         callback(err, data);
       });
     }
@@ -63,14 +148,204 @@ export default class Tar {
       append(null, source);
     } else if (data.sourceType === "stream" && data.stats) {
       data.size = data.stats.size;
-      var entry = self.engine.entry(data, function (err) {
+      var entry = self._entry(data, null, function (err) {
         callback(err, data);
       });
-      source.pipe(entry);
+      if (entry) {
+        // a partial entry can't be taken back, so this destroys the engine
+        source.on("error", function (err) {
+          entry.destroy(
+            new ArchiverError("ENTRYREADFAILED", {
+              name: data.name,
+              path: data.sourcePath,
+              cause: err,
+            }),
+          );
+        });
+        // the error reaches the callback and the engine instead
+        entry.on("error", function () {});
+        source.pipe(entry);
+      }
     } else if (data.sourceType === "stream") {
       collectStream(source, append);
     }
   }
+  /**
+   * Appends a file as a PAX 1.0 sparse entry, holding a map of its data
+   * regions followed by their contents, or as a regular entry when it has no
+   * holes.
+   *
+   * @private
+   * @param  {Stream} source
+   * @param  {TarEntryData} data
+   * @param  {Function} callback
+   * @return void
+   */
+  _appendSparse(source, data, callback) {
+    var self = this;
+    const realSize = data.stats.size;
+    scanSparseMap(data.sourcePath, realSize).then(function (map) {
+      if (map === null) {
+        self._append(source, data, callback);
+        return;
+      }
+      let mapText = map.length + "\n";
+      let dataSize = 0;
+      for (const [offset, length] of map) {
+        mapText += offset + "\n" + length + "\n";
+        dataSize += length;
+      }
+      const mapBlock = Buffer.alloc(Math.ceil(mapText.length / 512) * 512);
+      mapBlock.write(mapText, "latin1");
+      const realName = data.name;
+      const header = {
+        ...data,
+        // readers without sparse support extract the map and data here
+        name: posix.join(
+          posix.dirname(realName),
+          "GNUSparseFile.0",
+          posix.basename(realName),
+        ),
+        size: mapBlock.length + dataSize,
+        pax: {
+          ...data.pax,
+          "GNU.sparse.major": 1,
+          "GNU.sparse.minor": 0,
+          "GNU.sparse.name": realName,
+          "GNU.sparse.realsize": realSize,
+        },
+      };
+      data.size = header.size;
+      data.sparse = true;
+      const entry = self._entry(header, null, function (err) {
+        callback(err, data);
+      });
+      if (!entry) {
+        return;
+      }
+      entry.write(mapBlock);
+      (function next(i) {
+        if (i === map.length) {
+          entry.end();
+          return;
+        }
+        const [offset, length] = map[i];
+        if (length === 0) {
+          next(i + 1);
+          return;
+        }
+        const region = createReadStream(data.sourcePath, {
+          start: offset,
+          end: offset + length - 1,
+        });
+        region.on("error", function (err) {
+          entry.destroy(err);
+        });
+        region.on("end", function () {
+          next(i + 1);
+        });
+        region.pipe(entry, { end: false });
+      })(0);
+    }, callback);
+  }
+  /**
+   * Adds an entry to the engine, encoding its header in the chosen format.
+   * Entries with pax records, xattrs, `atime` or `ctime` use pax headers
+   * when no format is chosen.
+   *
+   * @private
+   * @param  {TarEntryData} header
+   * @param  {Buffer} [buffer]
+   * @param  {Function} callback
+   * @return {(Stream|null)} The entry stream, or `null` when the header can't
+   * be encoded or the engine is destroyed.
+   */
+  _entry(header, buffer, callback) {
+    // an error emitted by the archive destroys the engine
+    if (this.engine.destroying) {
+      callback(new ArchiverError("ABORTED"));
+      return null;
+    }
+    for (const field of ["atime", "ctime"]) {
+      if (header[field]) {
+        header[field] = dateify(header[field]);
+      }
+    }
+    const format =
+      this.options.tarFormat ||
+      (header.pax || header.xattrs || header.atime || header.ctime
+        ? "pax"
+        : null);
+    if (format) {
+      if (!header.mtime) {
+        header.mtime = new Date();
+      }
+      if (Buffer.isBuffer(buffer)) {
+        header.size = buffer.length;
+      }
+      if (!header.size || header.type !== "file") {
+        header.size = 0;
+      }
+      try {
+        header[ENCODED_HEADER] = encodeTarHeader(header, format);
+      } catch (err) {
+        callback(err);
+        return null;
+      }
+    }
+    return this.engine.entry(header, buffer, callback);
+  }
+  /**
+   * Finds an earlier entry that a file entry can be stored as a hardlink to,
+   * either because it is the same inode or, when deduplicating, because its
+   * contents and mode are identical.
+   *
+   * @private
+   * @param  {(Buffer|Stream)} source
+   * @param  {TarEntryData} data
+   * @param  {Function} callback Called with the target name or `null`, and
+   * the `inode` and `hash` keys to record the entry under once it is written.
+   * @return void
+   */
+  _findLinkTarget(source, data, callback) {
+    if (data.type !== "file") {
+      callback(null, null, null);
+      return;
+    }
+    const stats = data.stats;
+    const keys = { inode: null, hash: null };
+    if (this.options.hardlinks && stats && stats.nlink > 1) {
+      keys.inode = stats.dev + ":" + stats.ino;
+      if (this.inodes.has(keys.inode)) {
+        callback(null, this.inodes.get(keys.inode), null);
+        return;
+      }
+    }
+    if (!this.options.dedupe) {
+      callback(null, null, keys);
+      return;
+    }
+    const hashes = this.hashes;
+    function lookup(err, digest) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      keys.hash = digest + ":" + data.mode;
+      if (hashes.has(keys.hash)) {
+        callback(null, hashes.get(keys.hash), null);
+        return;
+      }
+      callback(null, null, keys);
+    }
+    if (Buffer.isBuffer(source)) {
+      lookup(null, createHash("sha256").update(source).digest("hex"));
+    } else if (data.sourcePath) {
+      hashFile(data.sourcePath, lookup);
+    } else {
+      callback(null, null, keys);
+    }
+  }
   /**
    * [finalize description]
    *
@@ -95,7 +370,12 @@ export default class Tar {
    * @return this.engine
    */
   pipe(destination, options) {
-    if (this.compressor) {
+    if (this.compressor && this.gzipHeader) {
+      return this.engine.pipe
+        .apply(this.engine, [this.compressor])
+        .pipe(this.gzipHeader)
+        .pipe(destination, options);
+    } else if (this.compressor) {
       return this.engine.pipe
         .apply(this.engine, [this.compressor])
         .pipe(destination, options);
@@ -109,10 +389,111 @@ export default class Tar {
    * @return this.engine
    */
   unpipe() {
-    if (this.compressor) {
+    if (this.gzipHeader) {
+      return this.gzipHeader.unpipe.apply(this.gzipHeader, arguments);
+    } else if (this.compressor) {
       return this.compressor.unpipe.apply(this.compressor, arguments);
     } else {
-      return this.engine.unpipe.apply(this.engine, arguments);
+      // tar-stream packs can't be unpiped, they stay idle once unused
+      return this.engine;
     }
   }
 }
+
+const ENCODED_HEADER = Symbol("encodedHeader");
+
+/**
+ * Checks whether fewer blocks are allocated than the file size needs. Files
+ * without block counts (eg. on Windows) are assumed to have holes.
+ *
+ * @private
+ * @param  {fs.Stats} stats
+ * @return {Boolean}
+ */
+function mayHaveHoles(stats) {
+  if (stats.size === 0) {
+    return false;
+  }
+  return typeof stats.blocks !== "number" || stats.blocks * 512 < stats.size;
+}
+
+/**
+ * Maps the data regions of a file as `[offset, length]` pairs, treating
+ * 512-byte blocks of zeros as holes. Node.js doesn't expose `SEEK_DATA` and
+ * `SEEK_HOLE`, so the file is scanned instead. A trailing hole is recorded as
+ * an empty region at the end of the file, as GNU tar does.
+ *
+ * @private
+ * @param  {String} filepath
+ * @param  {Number} size
+ * @return {Promise<Array>} Resolves with `null` when the file has no holes.
+ */
+async function scanSparseMap(filepath, size) {
+  const handle = await open(filepath, "r");
+  const map = [];
+  const buffer = Buffer.alloc(1024 * 1024);
+  let region = null;
+  let position = 0;
+  try {
+    while (position < size) {
+      const { bytesRead } = await handle.read(
+        buffer,
+        0,
+        buffer.length,
+        position,
+      );
+      if (bytesRead === 0) {
+        break;
+      }
+      for (let block = 0; block < bytesRead; block += 512) {
+        const end = Math.min(block + 512, bytesRead);
+        if (isZero(buffer, block, end)) {
+          region = null;
+        } else if (region) {
+          region[1] += end - block;
+        } else {
+          region = [position + block, end - block];
+          map.push(region);
+        }
+      }
+      position += bytesRead;
+    }
+  } finally {
+    await handle.close();
+  }
+  if (map.length === 1 && map[0][0] === 0 && map[0][1] === size) {
+    return null;
+  }
+  const last = map[map.length - 1];
+  if (!last || last[0] + last[1] < size) {
+    map.push([size, 0]);
+  }
+  return map;
+}
+
+function isZero(buffer, start, end) {
+  for (let i = start; i < end; i++) {
+    if (buffer[i] !== 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * @private
+ * @param  {String} filepath
+ * @param  {Function} callback
+ * @return void
+ */
+function hashFile(filepath, callback) {
+  const hash = createHash("sha256");
+  createReadStream(filepath)
+    .on("error", callback)
+    .on("data", function (chunk) {
+      hash.update(chunk);
+    })
+    .on("end", function () {
+      callback(null, hash.digest("hex"));
+    });
+}
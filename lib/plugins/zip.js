@@ -1,4 +1,10 @@
+import { once } from "events";
 import engine from "zip-stream";
+import { ArchiverError } from "../error.js";
+import { createZipCipher, METHOD_AES, WinZipAesCipher } from "../encryption.js";
+import CompressionPolicy from "../compression.js";
+import DeflatePool from "../pool.js";
+import { collectStream, peekStream } from "../utils.js";
 
 /**
  * ZIP Format Plugin
@@ -17,6 +23,14 @@ export default class Zip {
    * @param {Boolean} [options.namePrependSlash=false] Prepends a forward slash to archive file paths.
    * @param {Boolean} [options.store=false] Sets the compression method to STORE.
    * @param {Object} [options.zlib] Passed to [zlib]{@link https://nodejs.org/api/zlib.html#zlib_class_options}
+   * @param {(String|Buffer)} [options.password] Encrypts file entries with this password.
+   * @param {String} [options.encryptionMethod=aes256] Sets the encryption method to `aes256`, `aes128` or `zipcrypto`.
+   * @param {Number} [options.splitSize] Splits the archive into volumes of at most this many bytes.
+   * @param {Function} [options.volumeProvider] Returns the writable stream for a volume number.
+   * @param {(Boolean|Object)} [options.parallel] Deflates entries in a pool of worker threads.
+   * @param {Number} [options.parallel.workers] The number of workers, defaults to the available parallelism.
+   * @param {Number} [options.parallel.maxInFlight=67108864] The maximum number of bytes read but not yet written.
+   * @param {(Boolean|CompressionPolicyOptions)} [options.compressionPolicy] Stores already compressed file entries.
    */
   constructor(options) {
     options = this.options = {
@@ -24,9 +38,39 @@ export default class Zip {
       forceUTC: false,
       namePrependSlash: false,
       store: false,
+      password: null,
+      encryptionMethod: "aes256",
       ...options,
     };
-    this.engine = new engine(options);
+    if (options.splitSize !== undefined && options.splitSize !== null) {
+      if (typeof options.splitSize !== "number" || options.splitSize < 65536) {
+        throw new ArchiverError("SPLITSIZEINVALID", {
+          splitSize: options.splitSize,
+        });
+      }
+      if (typeof options.volumeProvider !== "function") {
+        throw new ArchiverError("VOLUMEPROVIDERREQUIRED");
+      }
+    }
+    // signals are handled by the archive, not by destroying the engine
+    this.engine = new ZipEngine({ ...options, signal: null });
+    this.policy = options.compressionPolicy
+      ? new CompressionPolicy(options.compressionPolicy)
+      : null;
+    this.pool = null;
+    if (options.parallel) {
+      const parallel = {
+        maxInFlight: 64 * 1024 * 1024,
+        ...options.parallel,
+      };
+      this.pool = new DeflatePool(parallel.workers, this.engine.options.zlib);
+      this.maxInFlight = parallel.maxInFlight;
+      this.inFlight = 0;
+      this.jobs = [];
+      this.writing = false;
+      this.finalizing = false;
+      this.onBudget = null;
+    }
   }
   /**
    * @param  {(Buffer|Stream)} source
@@ -38,17 +82,269 @@ export default class Zip {
    * when working with methods like `directory` or `glob`.
    * @param  {fs.Stats} [data.stats] Sets the fs stat data for this entry allowing
    * for reduction of fs stat calls when stat data is already known.
-   * @param  {Boolean} [data.store=ZipOptions.store] Sets the compression method to STORE.
+   * @param  {Boolean} [data.store=ZipOptions.store] Sets the compression method to STORE, overriding the compression policy.
+   * @param  {(String|Buffer|false)} [data.password=ZipOptions.password] Sets
+   * the password for this entry, `false` stores it unencrypted.
+   * @param  {String} [data.encryptionMethod=ZipOptions.encryptionMethod] Sets
+   * the encryption method for this entry.
    * @param  {Function} callback
    * @return void
    */
   append(source, data, callback) {
-    this.engine.entry(source, data, callback);
+    let password = this.options.password;
+    let encryption = null;
+    if (data.password !== undefined) {
+      password = data.password;
+      // keep the password out of the entry event
+      delete data.password;
+    }
+    if (password && data.type === "file") {
+      const method = data.encryptionMethod || this.options.encryptionMethod;
+      if (!ENCRYPTION_METHODS.includes(method)) {
+        callback(
+          new ArchiverError("ENCRYPTIONMETHODINVALID", {
+            name: data.name,
+            encryptionMethod: method,
+          }),
+        );
+        return;
+      }
+      encryption = { method: method, password: password };
+      data.encryptionMethod = method;
+    }
+    this._applyPolicy(source, data, (err, source) => {
+      if (err) {
+        callback(err);
+      } else if (this.pool) {
+        this._appendParallel(source, data, encryption, callback);
+      } else {
+        this._entry(source, data, encryption, null, callback);
+      }
+    });
+  }
+  /**
+   * Decides whether a file entry is stored or deflated when a compression
+   * policy is set, peeking at the start of stream sources when needed.
+   *
+   * @private
+   * @param  {(Buffer|Stream)} source
+   * @param  {ZipEntryData} data
+   * @param  {Function} callback Called with the source to append.
+   * @return void
+   */
+  _applyPolicy(source, data, callback) {
+    const policy = this.policy;
+    if (!policy || data.type !== "file" || this.engine.options.store) {
+      callback(null, source);
+      return;
+    }
+    if (data.store !== undefined) {
+      data.compression = {
+        method: data.store ? "store" : "deflate",
+        reason: "override",
+      };
+      callback(null, source);
+      return;
+    }
+    function decide(head) {
+      data.compression = policy.decide(data.name, head);
+      data.store = data.compression.method === "store";
+    }
+    const length = policy.headLength(data.name);
+    if (length === 0) {
+      decide();
+      callback(null, source);
+    } else if (Buffer.isBuffer(source)) {
+      decide(source.subarray(0, length));
+      callback(null, source);
+    } else {
+      peekStream(source, length, function (err, head, stream) {
+        if (err) {
+          callback(err);
+          return;
+        }
+        decide(head);
+        callback(null, stream);
+      });
+    }
+  }
+  /**
+   * Queues an entry to be deflated by the pool and written in append order.
+   *
+   * The callback is called once the source has been read, so that the next
+   * entry can be read while this one is compressed. Entries that are stored,
+   * empty or larger than the in-flight budget, and streams of unknown size,
+   * are written inline once the entries before them have been written.
+   *
+   * @private
+   * @param  {(Buffer|Stream)} source
+   * @param  {ZipEntryData} data
+   * @param  {Object} encryption
+   * @param  {Function} callback
+   * @return void
+   */
+  _appendParallel(source, data, encryption, callback) {
+    const size = Buffer.isBuffer(source)
+      ? source.length
+      : data.stats
+        ? data.stats.size
+        : -1;
+    const store =
+      data.store !== undefined ? data.store : this.engine.options.store;
+    const job = {
+      source: source,
+      data: data,
+      encryption: encryption,
+      size: 0,
+      result: null,
+      error: null,
+      reported: false,
+      callback: null,
+    };
+    this.jobs.push(job);
+    if (data.type !== "file" || store || size <= 0 || size > this.maxInFlight) {
+      job.callback = callback;
+      this._drain();
+      return;
+    }
+    this._reserve(size, () => {
+      job.size = size;
+      const compress = (err, contents) => {
+        if (err) {
+          job.error = err;
+          job.reported = true;
+          this._drain();
+          callback(err);
+          return;
+        }
+        job.source = contents;
+        this.pool.deflate(contents).then(
+          (result) => {
+            job.result = result;
+            this._drain();
+          },
+          (err) => {
+            job.error = err;
+            this._drain();
+          },
+        );
+        callback(null);
+      };
+      if (Buffer.isBuffer(source)) {
+        compress(null, source);
+      } else {
+        collectStream(source, compress);
+      }
+    });
+  }
+  /**
+   * Waits until `size` more bytes fit in the in-flight budget, or nothing is
+   * in flight.
+   *
+   * @private
+   * @param  {Number} size
+   * @param  {Function} callback
+   * @return void
+   */
+  _reserve(size, callback) {
+    if (this.inFlight === 0 || this.inFlight + size <= this.maxInFlight) {
+      this.inFlight += size;
+      callback();
+      return;
+    }
+    this.onBudget = () => this._reserve(size, callback);
+  }
+  /**
+   * Writes the queued entries that are ready, in append order.
+   *
+   * @private
+   * @return void
+   */
+  _drain() {
+    if (this.writing) {
+      return;
+    }
+    const job = this.jobs[0];
+    if (!job) {
+      if (this.finalizing) {
+        this.pool.close();
+        this.engine.finalize();
+      }
+      return;
+    }
+    if (job.error) {
+      if (!job.reported) {
+        this.engine.emit("error", job.error);
+      }
+      this._written(job);
+      return;
+    }
+    if (job.callback === null && job.result === null) {
+      return;
+    }
+    this.writing = true;
+    this._entry(job.source, job.data, job.encryption, job.result, (err) => {
+      this.writing = false;
+      if (job.callback) {
+        job.callback(err);
+      } else if (err) {
+        this.engine.emit("error", err);
+      }
+      this._written(job);
+    });
+  }
+  _written(job) {
+    this.jobs.shift();
+    this.inFlight -= job.size;
+    const onBudget = this.onBudget;
+    this.onBudget = null;
+    if (onBudget) {
+      onBudget();
+    }
+    this._drain();
+  }
+  /**
+   * Writes an entry to the engine.
+   *
+   * A stream that fails once the local file header is written leaves a
+   * truncated entry in the archive, so the error is emitted by the engine to
+   * abort the archive rather than skip the entry.
+   *
+   * @private
+   * @param  {(Buffer|Stream)} source
+   * @param  {ZipEntryData} data
+   * @param  {Object} encryption
+   * @param  {Object} deflated The contents deflated by the pool.
+   * @param  {Function} callback
+   * @return void
+   */
+  _entry(source, data, encryption, deflated, callback) {
+    const offset = this.engine.offset;
+    this.engine.encryption = encryption;
+    this.engine.deflated = deflated;
+    this.engine.entry(source, data, (err, entry) => {
+      if (err && this.engine.offset > offset) {
+        if (!(err instanceof ArchiverError)) {
+          err = new ArchiverError("ENTRYREADFAILED", {
+            name: data.name,
+            path: data.sourcePath,
+            cause: err,
+          });
+        }
+        this.engine.emit("error", err);
+      }
+      callback(err, entry);
+    });
   }
   /**
    * @return void
    */
   finalize() {
+    if (this.pool) {
+      this.finalizing = true;
+      this._drain();
+      return;
+    }
     this.engine.finalize();
   }
   /**
@@ -69,4 +365,446 @@ export default class Zip {
   unpipe() {
     return this.engine.unpipe.apply(this.engine, arguments);
   }
+  /**
+   * Returns the number of the volume being written and the number of bytes
+   * written to it, when splitting.
+   *
+   * @return {(Object|null)} `{number, pointer}`, or `null` when not splitting.
+   */
+  volume() {
+    const volumes = this.engine._volumes;
+    if (!volumes) {
+      return null;
+    }
+    return { number: volumes.number, pointer: volumes.pointer };
+  }
+}
+
+const ENCRYPTION_METHODS = ["aes256", "aes128", "zipcrypto"];
+
+const SIG_SPLIT = 0x08074b50;
+const SIG_CFH = 0x02014b50;
+const SIG_EOCD = 0x06054b50;
+const SIG_ZIP64_EOCD = 0x06064b50;
+const SIG_ZIP64_EOCD_LOC = 0x07064b50;
+const VERSION_MADEBY = 45;
+const MIN_VERSION_ZIP64 = 45;
+const ZIP64_EXTRA_ID = 0x0001;
+const ZIP64_MAGIC = 0xffffffff;
+const ZIP64_MAGIC_SHORT = 0xffff;
+
+/**
+ * Extends zip-stream with entry encryption, entries deflated ahead of time
+ * and split archives.
+ *
+ * Entry data written between the local file header and the data descriptor
+ * is passed through the entry's cipher, so encrypted entries stream just like
+ * plain ones.
+ *
+ * When splitting, every write is assigned to a volume (a "disk" in the zip
+ * format) and cut at volume boundaries, while header records are moved to
+ * the next volume instead of being cut. The output is still passed through so
+ * the archive can count it.
+ *
+ * @private
+ */
+class ZipEngine extends engine {
+  constructor(options) {
+    super(options);
+    this.encryption = null;
+    this.deflated = null;
+    this._cipher = null;
+    this._volumes = null;
+    if (options.splitSize) {
+      this._splitSize = options.splitSize;
+      this._volumes = new Volumes(options.volumeProvider);
+      this._disk = 0;
+      this._diskOffset = 0;
+      this._diskEntries = [0];
+      this._chunkDisks = [];
+      this.write(getLongBytes(SIG_SPLIT));
+    }
+  }
+  _finish() {
+    if (!this._volumes) {
+      super._finish();
+      return;
+    }
+    let start = null;
+    let length = 0;
+    this._entries.forEach(function (ae) {
+      this._withAesMethod(ae, () => {
+        const record = this._centralFileHeaderRecord(ae);
+        this._reserve(record.length);
+        if (start === null) {
+          start = { disk: this._disk, offset: this._diskOffset };
+        }
+        this._diskEntries[this._disk]++;
+        length += record.length;
+        this.write(record);
+      });
+    }, this);
+    if (start === null) {
+      start = { disk: this._disk, offset: this._diskOffset };
+    }
+    this._archive.centralOffset = start.offset;
+    this._archive.centralLength = length;
+    this._writeVolumesEnd(start, length);
+    this._archive.processing = false;
+    this._archive.finish = true;
+    this._archive.finished = true;
+    this.end();
+  }
+  _flush(callback) {
+    if (!this._volumes) {
+      callback();
+      return;
+    }
+    this._volumes.end(callback);
+  }
+  _appendBuffer(ae, source, callback) {
+    const deflated = ae._deflated;
+    if (!deflated) {
+      super._appendBuffer(ae, source, callback);
+      return;
+    }
+    ae.setSize(source.length);
+    ae.setCompressedSize(deflated.data.length);
+    ae.setCrc(deflated.crc);
+    this._writeLocalFileHeader(ae);
+    this.write(deflated.data);
+    this._afterAppend(ae);
+    callback(null, ae);
+  }
+  _normalizeEntry(ae) {
+    super._normalizeEntry(ae);
+    ae._deflated = this.deflated;
+    this.deflated = null;
+    ae._cipher = null;
+    if (!this.encryption || ae.isDirectory()) {
+      return;
+    }
+    // the sizes and crc32 are only known after the data has been written, so
+    // the ZipCrypto check byte is taken from the time instead of the crc32
+    const cipher = createZipCipher(
+      this.encryption.method,
+      this.encryption.password,
+      (ae.getTimeDos() >> 8) & 0xff,
+    );
+    const gpb = ae.getGeneralPurposeBit();
+    gpb.useEncryption(true);
+    gpb.useDataDescriptor(true);
+    ae.setVersionNeededToExtract(cipher.versionNeeded);
+    ae._cipher = cipher;
+  }
+  _afterAppend(ae) {
+    const cipher = ae._cipher;
+    if (cipher) {
+      this._cipher = null;
+      const trailer = cipher.final();
+      if (trailer.length > 0) {
+        this.write(trailer);
+      }
+      ae.setCompressedSize(ae.getCompressedSize() + cipher.overhead);
+      if (cipher instanceof WinZipAesCipher) {
+        ae.setCrc(0);
+      }
+    }
+    super._afterAppend(ae);
+  }
+  _transform(chunk, encoding, callback) {
+    if (!this._volumes) {
+      callback(null, chunk);
+      return;
+    }
+    this._volumes.write(this._chunkDisks.shift(), chunk, function (err) {
+      callback(err, chunk);
+    });
+  }
+  _writeCentralFileHeader(ae) {
+    this._withAesMethod(ae, () => super._writeCentralFileHeader(ae));
+  }
+  _writeDataDescriptor(ae) {
+    this._reserve(ae.isZip64() ? 24 : 16);
+    super._writeDataDescriptor(ae);
+  }
+  _writeLocalFileHeader(ae) {
+    this._withAesMethod(ae, () => {
+      if (this._volumes) {
+        this._reserve(
+          30 +
+            Buffer.byteLength(ae.getName()) +
+            ae.getLocalFileDataExtra().length,
+        );
+        ae._volume = { disk: this._disk, offset: this._diskOffset };
+      }
+      super._writeLocalFileHeader(ae);
+    });
+    if (ae._cipher) {
+      this.write(ae._cipher.header());
+      this._cipher = ae._cipher;
+    }
+  }
+  /**
+   * Records AES entries with the AES method, and their actual compression
+   * method in the 0x9901 extra field, while writing their headers.
+   *
+   * @private
+   * @param  {ZipArchiveEntry} ae
+   * @param  {Function} write
+   * @return void
+   */
+  _withAesMethod(ae, write) {
+    const cipher = ae._cipher;
+    if (!(cipher instanceof WinZipAesCipher)) {
+      write();
+      return;
+    }
+    const method = ae.getMethod();
+    cipher.method = method;
+    ae.setMethod(METHOD_AES);
+    // appended on every call, since zip64 central headers replace the extra
+    ae.getLocalFileDataExtra = ae.getCentralDirectoryExtra = function () {
+      return Buffer.concat([this.getExtra(), cipher.extraField()]);
+    };
+    try {
+      write();
+    } finally {
+      ae.setMethod(method);
+      delete ae.getLocalFileDataExtra;
+      delete ae.getCentralDirectoryExtra;
+    }
+  }
+  /**
+   * Builds a central directory record with the volume and volume relative
+   * offset of the entry's local file header.
+   *
+   * @private
+   * @param  {ZipArchiveEntry} ae
+   * @return {Buffer}
+   */
+  _centralFileHeaderRecord(ae) {
+    const gpb = ae.getGeneralPurposeBit();
+    let size = ae.getSize();
+    let compressedSize = ae.getCompressedSize();
+    let offset = ae._volume.offset;
+    if (ae.isZip64() || offset > ZIP64_MAGIC) {
+      size = ZIP64_MAGIC;
+      compressedSize = ZIP64_MAGIC;
+      offset = ZIP64_MAGIC;
+      ae.setVersionNeededToExtract(MIN_VERSION_ZIP64);
+      ae.setExtra(
+        Buffer.concat([
+          getShortBytes(ZIP64_EXTRA_ID),
+          getShortBytes(24),
+          getEightBytes(ae.getSize()),
+          getEightBytes(ae.getCompressedSize()),
+          getEightBytes(ae._volume.offset),
+        ]),
+      );
+    }
+    const name = Buffer.from(ae.getName());
+    const comment = Buffer.from(ae.getComment());
+    const extra = ae.getCentralDirectoryExtra();
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(SIG_CFH, 0);
+    header.writeUInt16LE((ae.getPlatform() << 8) | VERSION_MADEBY, 4);
+    header.writeUInt16LE(ae.getVersionNeededToExtract(), 6);
+    gpb.encode().copy(header, 8);
+    header.writeUInt16LE(ae.getMethod(), 10);
+    header.writeUInt32LE(ae.getTimeDos() >>> 0, 12);
+    header.writeUInt32LE(ae.getCrc() >>> 0, 16);
+    header.writeUInt32LE(compressedSize, 20);
+    header.writeUInt32LE(size, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt16LE(extra.length, 30);
+    header.writeUInt16LE(comment.length, 32);
+    header.writeUInt16LE(Math.min(ae._volume.disk, ZIP64_MAGIC_SHORT), 34);
+    header.writeUInt16LE(ae.getInternalAttributes(), 36);
+    header.writeUInt32LE(ae.getExternalAttributes() >>> 0, 38);
+    header.writeUInt32LE(offset, 42);
+    return Buffer.concat([header, name, extra, comment]);
+  }
+  /**
+   * Moves to the next volume unless `length` bytes fit in the current one.
+   *
+   * @private
+   * @param  {Number} length
+   * @return void
+   */
+  _reserve(length) {
+    if (
+      this._volumes &&
+      this._diskOffset > 0 &&
+      this._diskOffset + length > this._splitSize
+    ) {
+      this._nextDisk();
+    }
+  }
+  _nextDisk() {
+    this._disk++;
+    this._diskOffset = 0;
+    this._diskEntries.push(0);
+  }
+  /**
+   * Writes the zip64 end of central directory records, when needed, and the
+   * end of central directory record, all on the last volume.
+   *
+   * @private
+   * @param  {Object} start The volume and offset of the central directory.
+   * @param  {Number} length The central directory length.
+   * @return void
+   */
+  _writeVolumesEnd(start, length) {
+    const comment = Buffer.from(this.getComment());
+    const total = this._entries.length;
+    const zip64 =
+      this._archive.forceZip64 ||
+      total >= ZIP64_MAGIC_SHORT ||
+      length >= ZIP64_MAGIC ||
+      start.offset >= ZIP64_MAGIC ||
+      this._disk + 1 >= ZIP64_MAGIC_SHORT;
+    this._reserve((zip64 ? 76 : 0) + 22 + comment.length);
+    const disk = this._disk;
+    const entries = this._diskEntries[disk];
+    if (zip64) {
+      const record = Buffer.alloc(76);
+      record.writeUInt32LE(SIG_ZIP64_EOCD, 0);
+      getEightBytes(44).copy(record, 4);
+      record.writeUInt16LE(MIN_VERSION_ZIP64, 12);
+      record.writeUInt16LE(MIN_VERSION_ZIP64, 14);
+      record.writeUInt32LE(disk, 16);
+      record.writeUInt32LE(start.disk, 20);
+      getEightBytes(entries).copy(record, 24);
+      getEightBytes(total).copy(record, 32);
+      getEightBytes(length).copy(record, 40);
+      getEightBytes(start.offset).copy(record, 48);
+      // end of central directory locator
+      record.writeUInt32LE(SIG_ZIP64_EOCD_LOC, 56);
+      record.writeUInt32LE(disk, 60);
+      getEightBytes(this._diskOffset).copy(record, 64);
+      record.writeUInt32LE(disk + 1, 72);
+      this.write(record);
+    }
+    const record = Buffer.alloc(22);
+    record.writeUInt32LE(SIG_EOCD, 0);
+    record.writeUInt16LE(zip64 ? ZIP64_MAGIC_SHORT : disk, 4);
+    record.writeUInt16LE(zip64 ? ZIP64_MAGIC_SHORT : start.disk, 6);
+    record.writeUInt16LE(zip64 ? ZIP64_MAGIC_SHORT : entries, 8);
+    record.writeUInt16LE(zip64 ? ZIP64_MAGIC_SHORT : total, 10);
+    record.writeUInt32LE(zip64 ? ZIP64_MAGIC : length, 12);
+    record.writeUInt32LE(zip64 ? ZIP64_MAGIC : start.offset, 16);
+    record.writeUInt16LE(comment.length, 20);
+    this.write(Buffer.concat([record, comment]));
+  }
+  write(chunk, callback) {
+    if (this._cipher && chunk) {
+      chunk = this._cipher.update(chunk);
+    }
+    if (!this._volumes || !chunk) {
+      return super.write(chunk, callback);
+    }
+    chunk = Buffer.from(chunk);
+    let result = true;
+    do {
+      if (this._diskOffset >= this._splitSize) {
+        this._nextDisk();
+      }
+      const part = chunk.subarray(0, this._splitSize - this._diskOffset);
+      chunk = chunk.subarray(part.length);
+      this._diskOffset += part.length;
+      this._chunkDisks.push(this._disk);
+      result = super.write(part, chunk.length === 0 ? callback : undefined);
+    } while (chunk.length > 0);
+    return result;
+  }
+}
+
+/**
+ * Writes the volumes of a split archive to the streams returned by the
+ * volume provider, ending each volume before the next one is requested.
+ *
+ * @private
+ */
+class Volumes {
+  /**
+   * @constructor
+   * @param {Function} provider
+   */
+  constructor(provider) {
+    this.provider = provider;
+    this.number = 0;
+    this.pointer = 0;
+    this.stream = null;
+    this.error = null;
+  }
+  /**
+   * @param  {Number} disk The zero based volume index.
+   * @param  {Buffer} chunk
+   * @param  {Function} callback
+   * @return void
+   */
+  write(disk, chunk, callback) {
+    this._write(disk, chunk).then(function () {
+      callback();
+    }, callback);
+  }
+  async _write(disk, chunk) {
+    if (disk + 1 !== this.number) {
+      await this._close();
+      this.number = disk + 1;
+      this.pointer = 0;
+      this.stream = this.provider(this.number);
+      this.stream.on("error", (err) => {
+        this.error = err;
+      });
+    }
+    this._throwError();
+    this.pointer += chunk.length;
+    if (!this.stream.write(chunk)) {
+      await once(this.stream, "drain");
+    }
+  }
+  async _close() {
+    if (this.stream) {
+      this._throwError();
+      this.stream.end();
+      await once(this.stream, "finish");
+    }
+  }
+  _throwError() {
+    if (this.error) {
+      throw this.error;
+    }
+  }
+  /**
+   * Ends the last volume.
+   *
+   * @param  {Function} callback
+   * @return void
+   */
+  end(callback) {
+    this._close().then(function () {
+      callback();
+    }, callback);
+  }
+}
+
+function getEightBytes(v) {
+  const buf = Buffer.alloc(8);
+  buf.writeUInt32LE(v % 0x100000000, 0);
+  buf.writeUInt32LE(Math.floor(v / 0x100000000), 4);
+  return buf;
+}
+
+function getLongBytes(v) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(v >>> 0, 0);
+  return buf;
+}
+
+function getShortBytes(v) {
+  const buf = Buffer.alloc(2);
+  buf.writeUInt16LE(v, 0);
+  return buf;
 }
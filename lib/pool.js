@@ -0,0 +1,131 @@
+import { availableParallelism, cpus } from "os";
+import { Worker } from "worker_threads";
+
+/**
+ * Deflate Pool
+ *
+ * @module pool
+ * @license [MIT]{@link https://github.com/archiverjs/node-archiver/blob/master/LICENSE}
+ * @copyright (c) 2012-2014 Chris Talkington, contributors.
+ */
+const WORKER_URL = new URL("./workers/deflate.js", import.meta.url);
+
+/**
+ * Deflates buffers in a pool of worker threads. Workers are started on demand
+ * and only keep the process alive while they are compressing.
+ *
+ * @private
+ */
+export default class DeflatePool {
+  /**
+   * @constructor
+   * @param {Number} [size] The number of workers, defaults to the available parallelism.
+   * @param {Object} [zlibOptions] Passed to `zlib.deflateRawSync`.
+   */
+  constructor(size, zlibOptions) {
+    this.size =
+      size > 0
+        ? size
+        : typeof availableParallelism === "function"
+          ? availableParallelism()
+          : cpus().length;
+    this.zlibOptions = zlibOptions || {};
+    this.workers = [];
+    this.idle = [];
+    this.jobs = [];
+    this.pending = new Map();
+    this.nextId = 0;
+  }
+  /**
+   * Deflates `contents` as raw deflate data.
+   *
+   * @param  {Buffer} contents
+   * @return {Promise<Object>} Resolves with `{crc, data}`.
+   */
+  deflate(contents) {
+    return new Promise((resolve, reject) => {
+      this.jobs.push({
+        id: this.nextId++,
+        contents: contents,
+        resolve: resolve,
+        reject: reject,
+      });
+      this._dispatch();
+    });
+  }
+  /**
+   * Terminates the workers, rejecting pending jobs.
+   *
+   * @return void
+   */
+  close() {
+    const err = new Error("deflate pool closed");
+    this.jobs.concat(Array.from(this.pending.values())).forEach(function (job) {
+      job.reject(err);
+    });
+    this.jobs = [];
+    this.pending.clear();
+    this.workers.forEach(function (worker) {
+      worker.terminate();
+    });
+    this.workers = [];
+    this.idle = [];
+  }
+  _dispatch() {
+    while (this.jobs.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker && this.workers.length < this.size) {
+        worker = this._spawn();
+      }
+      if (!worker) {
+        return;
+      }
+      const job = this.jobs.shift();
+      job.worker = worker;
+      this.pending.set(job.id, job);
+      worker.ref();
+      worker.postMessage({ id: job.id, contents: job.contents });
+    }
+  }
+  _spawn() {
+    const worker = new Worker(WORKER_URL, {
+      workerData: { zlib: this.zlibOptions },
+    });
+    worker.on("message", (message) => {
+      const job = this.pending.get(message.id);
+      this.pending.delete(message.id);
+      worker.unref();
+      this.idle.push(worker);
+      if (message.error) {
+        job.reject(message.error);
+      } else {
+        job.resolve({
+          crc: message.crc,
+          data: Buffer.from(
+            message.data.buffer,
+            message.data.byteOffset,
+            message.data.length,
+          ),
+        });
+      }
+      this._dispatch();
+    });
+    worker.on("error", (err) => {
+      this.workers = this.workers.filter(function (other) {
+        return other !== worker;
+      });
+      this.idle = this.idle.filter(function (other) {
+        return other !== worker;
+      });
+      this.pending.forEach((job, id) => {
+        if (job.worker === worker) {
+          this.pending.delete(id);
+          job.reject(err);
+        }
+      });
+      this._dispatch();
+    });
+    this.workers.push(worker);
+    return worker;
+  }
+}
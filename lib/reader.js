@@ -0,0 +1,200 @@
+import { createReadStream } from "fs";
+import { open } from "fs/promises";
+import zlib from "zlib";
+import { isStream } from "is-stream";
+import { Readable as LazyReadable } from "lazystream";
+import { Readable } from "readable-stream";
+import { ArchiverError } from "./error.js";
+import { readTar } from "./readers/tar.js";
+import { readZipFile, readZipStream } from "./readers/zip.js";
+import { ChunkReader } from "./readers/utils.js";
+
+/**
+ * Reads the entries of existing zip, tar and gzipped tar archives.
+ *
+ * Entries are yielded as `{ data, stream }` objects where `data` has the same
+ * shape as the {@link EntryData} used when writing (`name`, `type`, `mode`,
+ * `date`, `size`, `linkname` and `crc32`, plus format specific properties)
+ * and `stream` provides the entry content. Content is verified against the
+ * crc32 and size recorded in zip archives.
+ *
+ * Zip archives given as a filepath or buffer are read through their central
+ * directory; streamed zip archives are read from their local headers, which
+ * don't record modes, so their entries report default modes and symlinks are
+ * read as files. When reading from a stream, each entry's content has to be
+ * consumed before moving on to the next entry or it will be skipped.
+ *
+ * @example
+ * for await (const { data, stream } of new ArchiveReader("archive.zip")) {
+ *   console.log(data.name, data.size);
+ *   stream.resume();
+ * }
+ */
+export default class ArchiveReader {
+  /**
+   * @constructor
+   * @param {(String|Buffer|Stream)} source A filepath, buffer or readable stream.
+   * @param {ReaderOptions} [options]
+   */
+  constructor(source, options) {
+    this.source = source;
+    this.options = {
+      format: null,
+      forceLocalTime: false,
+      ...options,
+    };
+    if (
+      typeof source !== "string" &&
+      !Buffer.isBuffer(source) &&
+      !isStream(source)
+    ) {
+      throw new ArchiverError("INPUTSTEAMBUFFERREQUIRED");
+    }
+  }
+  /**
+   * Detects the format from the leading bytes of an archive.
+   *
+   * @private
+   * @param  {Buffer} head
+   * @return {String|null}
+   */
+  _detectFormat(head) {
+    if (this.options.format) {
+      return this.options.format;
+    }
+    if (head.length >= 4 && head[0] === 0x50 && head[1] === 0x4b) {
+      return "zip";
+    }
+    if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) {
+      return "tgz";
+    }
+    if (head.length >= 262 && head.toString("latin1", 257, 262) === "ustar") {
+      return "tar";
+    }
+    return null;
+  }
+  /**
+   * Reads a filepath with random access.
+   *
+   * @private
+   * @return {AsyncGenerator<Object>}
+   */
+  async *_readFile() {
+    const filepath = this.source;
+    const handle = await open(filepath, "r");
+    try {
+      const { size } = await handle.stat();
+      const file = {
+        size: size,
+        read: async function (position, length) {
+          const buf = Buffer.alloc(length);
+          const { bytesRead } = await handle.read(buf, 0, length, position);
+          return buf.subarray(0, bytesRead);
+        },
+        createReadStream: function (start, end) {
+          return new LazyReadable(function () {
+            return createReadStream(filepath, { start: start, end: end });
+          });
+        },
+      };
+      const format = this._detectFormat(await file.read(0, 512));
+      if (format === "zip") {
+        yield* readZipFile(file, this.options);
+        return;
+      }
+      yield* this._readStream(createReadStream(filepath), format);
+    } finally {
+      await handle.close();
+    }
+  }
+  /**
+   * Reads a buffer with random access.
+   *
+   * @private
+   * @return {AsyncGenerator<Object>}
+   */
+  async *_readBuffer() {
+    const buffer = this.source;
+    const format = this._detectFormat(buffer.subarray(0, 512));
+    if (format === "zip") {
+      yield* readZipFile(
+        {
+          size: buffer.length,
+          read: async function (position, length) {
+            return buffer.subarray(position, position + length);
+          },
+          createReadStream: function (start, end) {
+            return Readable.from([buffer.subarray(start, end + 1)]);
+          },
+        },
+        this.options,
+      );
+      return;
+    }
+    yield* this._readStream(Readable.from([buffer]), format);
+  }
+  /**
+   * Reads a stream sequentially.
+   *
+   * @private
+   * @param  {Stream} stream
+   * @param  {String} [format] The already detected format.
+   * @return {AsyncGenerator<Object>}
+   */
+  async *_readStream(stream, format) {
+    const reader = new ChunkReader(stream);
+    if (!format) {
+      format = this._detectFormat(await reader.peek(512));
+    }
+    if (format === "zip") {
+      yield* readZipStream(reader, this.options);
+      return;
+    }
+    let source = Readable.from(reader);
+    if (format === "tgz") {
+      source = source.pipe(zlib.createGunzip());
+    } else if (format !== "tar") {
+      throw new ArchiverError("FORMATUNKNOWN");
+    }
+    yield* readTar(source, { allowUnknownFormat: !!this.options.format });
+  }
+  /**
+   * Reads every entry and discards its content.
+   *
+   * @return {Promise<EntryData[]>}
+   */
+  async list() {
+    const entries = [];
+    for await (const { data, stream } of this) {
+      await new Promise(function (resolve, reject) {
+        stream.on("error", reject);
+        stream.on("end", resolve);
+        stream.resume();
+      });
+      entries.push(data);
+    }
+    return entries;
+  }
+  /**
+   * Iterates over the archive entries.
+   *
+   * @return {AsyncIterator<Object>} Yields `{ data, stream }` objects.
+   */
+  [Symbol.asyncIterator]() {
+    if (typeof this.source === "string") {
+      return this._readFile();
+    } else if (Buffer.isBuffer(this.source)) {
+      return this._readBuffer();
+    }
+    return this._readStream(this.source);
+  }
+}
+
+/**
+ * @typedef {Object} ReaderOptions
+ * @global
+ * @property {String} [format] Skips detection and reads the archive as `zip`,
+ * `tar` or `tgz`.
+ * @property {Boolean} [forceLocalTime=false] Reads zip entry times as local
+ * time instead of UTC.
+ */
@@ -0,0 +1,211 @@
+import engine from "tar-stream";
+import { Readable } from "readable-stream";
+import { ArchiverError } from "../error.js";
+import { trailingSlashIt } from "../utils.js";
+import { ChunkReader, EntryStream } from "./utils.js";
+
+// the largest buffer of zeros written for a hole of a sparse entry
+const HOLE_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * TAR Format Reader
+ *
+ * @module readers/tar
+ * @license [MIT]{@link https://github.com/archiverjs/node-archiver/blob/master/LICENSE}
+ * @copyright (c) 2012-2014 Chris Talkington, contributors.
+ */
+
+/**
+ * Reads the entries of a (decompressed) tar archive.
+ *
+ * @param  {Stream} source
+ * @param  {Object} [options] Passed to tar-stream's extract.
+ * @return {AsyncGenerator<Object>} Yields `{ data, stream }` objects.
+ */
+export async function* readTar(source, options) {
+  const extract = engine.extract(options);
+  source.on("error", function (err) {
+    extract.destroy(err);
+  });
+  source.pipe(extract);
+  try {
+    for await (const entry of wrapErrors(extract)) {
+      const data = entryDataFromHeader(entry.header);
+      let content = entry;
+      if (data.sparse) {
+        content = expandSparse(entry, data);
+      }
+      const stream = Readable.from(content).pipe(new EntryStream(data));
+      entry.on("error", function (err) {
+        stream.destroy(err);
+      });
+      yield { data: data, stream: stream };
+      if (!entry.readableEnded && !entry.destroyed) {
+        entry.resume();
+      }
+    }
+  } finally {
+    if (!extract.destroyed) {
+      extract.destroy();
+    }
+  }
+}
+
+/**
+ * Maps a tar-stream header to entry data.
+ *
+ * @private
+ * @param  {Object} header
+ * @return {TarEntryData}
+ */
+function entryDataFromHeader(header) {
+  let type = header.type;
+  if (type === "contiguous-file") {
+    type = "file";
+  }
+  const data = {
+    name: type === "directory" ? trailingSlashIt(header.name) : header.name,
+    type: type,
+    mode: header.mode & 4095,
+    date: header.mtime,
+    size: type === "file" ? header.size : 0,
+    linkname: header.linkname || null,
+    crc32: null,
+    uid: header.uid,
+    gid: header.gid,
+    uname: header.uname,
+    gname: header.gname,
+  };
+  if (type === "character-device" || type === "block-device") {
+    data.devmajor = header.devmajor;
+    data.devminor = header.devminor;
+  }
+  if (header.pax) {
+    data.pax = header.pax;
+  }
+  if (header.pax && isSparse(header.pax)) {
+    if (header.pax["GNU.sparse.major"] !== "1" || type !== "file") {
+      throw new ArchiverError("TARSPARSEUNSUPPORTED", { name: header.name });
+    }
+    const realSize = Number(header.pax["GNU.sparse.realsize"]);
+    if (!header.pax["GNU.sparse.name"] || !Number.isSafeInteger(realSize)) {
+      throw new ArchiverError("ARCHIVECORRUPTED", {
+        reason: "invalid sparse entry " + header.name,
+      });
+    }
+    data.name = header.pax["GNU.sparse.name"];
+    data.size = realSize;
+    data.sparse = true;
+    // the records describe the stored form, not the restored content
+    data.pax = {};
+    for (const [key, value] of Object.entries(header.pax)) {
+      if (!key.startsWith("GNU.sparse.")) {
+        data.pax[key] = value;
+      }
+    }
+  }
+  return data;
+}
+
+/**
+ * Tells whether pax records describe a GNU sparse entry.
+ *
+ * @private
+ * @param  {Object} pax
+ * @return {Boolean}
+ */
+function isSparse(pax) {
+  return Object.keys(pax).some(function (key) {
+    return key.startsWith("GNU.sparse.");
+  });
+}
+
+/**
+ * Restores the content of a PAX 1.0 sparse entry, which holds a map of its
+ * data regions, padded to a block, followed by their contents. Holes are
+ * filled with zeros.
+ *
+ * @private
+ * @param  {Stream} entry
+ * @param  {TarEntryData} data
+ * @return {AsyncGenerator<Buffer>}
+ */
+async function* expandSparse(entry, data) {
+  const reader = new ChunkReader(entry);
+  const numbers = [];
+  let text = "";
+  while (numbers.length === 0 || numbers.length < 1 + 2 * numbers[0]) {
+    text += (await reader.readExactly(512)).toString("latin1");
+    const lines = text.split("\n");
+    text = lines.pop();
+    for (const line of lines) {
+      if (!/^\d+$/.test(line)) {
+        throw corruptedSparse(data);
+      }
+      numbers.push(Number(line));
+    }
+  }
+  let position = 0;
+  for (let i = 1; i < 1 + 2 * numbers[0]; i += 2) {
+    const offset = numbers[i];
+    const length = numbers[i + 1];
+    if (offset < position || offset + length > data.size) {
+      throw corruptedSparse(data);
+    }
+    yield* zeros(offset - position);
+    let remaining = length;
+    while (remaining > 0) {
+      const chunk = await reader.readChunk(remaining);
+      if (chunk.length === 0) {
+        throw corruptedSparse(data);
+      }
+      remaining -= chunk.length;
+      yield chunk;
+    }
+    position = offset + length;
+  }
+  yield* zeros(data.size - position);
+  await reader.skipAll();
+}
+
+/**
+ * @private
+ * @param  {Number} length
+ * @return {Generator<Buffer>}
+ */
+function* zeros(length) {
+  while (length > 0) {
+    const size = Math.min(length, HOLE_CHUNK_SIZE);
+    yield Buffer.alloc(size);
+    length -= size;
+  }
+}
+
+/**
+ * @private
+ * @param  {TarEntryData} data
+ * @return {ArchiverError}
+ */
+function corruptedSparse(data) {
+  return new ArchiverError("ARCHIVECORRUPTED", {
+    reason: "invalid sparse map of " + data.name,
+  });
+}
+
+/**
+ * Rethrows tar-stream parse errors as `ARCHIVECORRUPTED` errors.
+ *
+ * @private
+ * @param  {AsyncIterable} extract
+ * @return {AsyncGenerator}
+ */
+async function* wrapErrors(extract) {
+  try {
+    yield* extract;
+  } catch (err) {
+    if (err instanceof ArchiverError) {
+      throw err;
+    }
+    throw new ArchiverError("ARCHIVECORRUPTED", { reason: err.message });
+  }
+}
@@ -0,0 +1,211 @@
+import crc32 from "buffer-crc32";
+import { Transform } from "readable-stream";
+import { ArchiverError } from "../error.js";
+
+/**
+ * Pulls exact amounts of bytes out of an async iterable of chunks.
+ *
+ * @private
+ */
+export class ChunkReader {
+  /**
+   * @constructor
+   * @param {AsyncIterable<Buffer>} source
+   */
+  constructor(source) {
+    this.iterator = source[Symbol.asyncIterator]();
+    this.buffers = [];
+    this.length = 0;
+    this.ended = false;
+  }
+  /**
+   * Buffers chunks until `n` bytes are available or the source ends.
+   *
+   * @private
+   * @param  {Number} n
+   * @return {Promise}
+   */
+  async _fill(n) {
+    while (this.length < n && !this.ended) {
+      const result = await this.iterator.next();
+      if (result.done) {
+        this.ended = true;
+      } else if (result.value.length > 0) {
+        const chunk = Buffer.from(result.value);
+        this.buffers.push(chunk);
+        this.length += chunk.length;
+      }
+    }
+  }
+  /**
+   * Removes up to `n` buffered bytes.
+   *
+   * @private
+   * @param  {Number} n
+   * @return {Buffer}
+   */
+  _take(n) {
+    n = Math.min(n, this.length);
+    const buf =
+      this.buffers.length === 1
+        ? this.buffers[0]
+        : Buffer.concat(this.buffers, this.length);
+    this.buffers = n < buf.length ? [buf.subarray(n)] : [];
+    this.length -= n;
+    return buf.subarray(0, n);
+  }
+  /**
+   * Returns up to `n` bytes without consuming them.
+   *
+   * @param  {Number} n
+   * @return {Promise<Buffer>}
+   */
+  async peek(n) {
+    await this._fill(n);
+    const buf = this._take(n);
+    this.unshift(buf);
+    return buf;
+  }
+  /**
+   * Reads `n` bytes, or fewer when the source ends first.
+   *
+   * @param  {Number} n
+   * @return {Promise<Buffer>}
+   */
+  async read(n) {
+    await this._fill(n);
+    return this._take(n);
+  }
+  /**
+   * Reads whatever is available, up to `max` bytes. Resolves with an empty
+   * buffer once the source has ended.
+   *
+   * @param  {Number} max
+   * @return {Promise<Buffer>}
+   */
+  async readChunk(max) {
+    await this._fill(1);
+    return this._take(
+      Math.min(max, this.buffers.length ? this.buffers[0].length : 0),
+    );
+  }
+  /**
+   * Reads exactly `n` bytes.
+   *
+   * @param  {Number} n
+   * @return {Promise<Buffer>}
+   */
+  async readExactly(n) {
+    const buf = await this.read(n);
+    if (buf.length < n) {
+      throw new ArchiverError("ARCHIVECORRUPTED", {
+        reason: "unexpected end of archive",
+      });
+    }
+    return buf;
+  }
+  /**
+   * Consumes the rest of the source.
+   *
+   * @return {Promise}
+   */
+  async skipAll() {
+    this.buffers = [];
+    this.length = 0;
+    while (!this.ended) {
+      await this._fill(1);
+      this.buffers = [];
+      this.length = 0;
+    }
+  }
+  /**
+   * Puts bytes back in front of the source.
+   *
+   * @param  {Buffer} buf
+   * @return void
+   */
+  unshift(buf) {
+    if (buf.length > 0) {
+      this.buffers.unshift(buf);
+      this.length += buf.length;
+    }
+  }
+  /**
+   * Iterates over the remaining chunks, buffered ones first.
+   *
+   * @return {AsyncIterator<Buffer>}
+   */
+  async *[Symbol.asyncIterator]() {
+    let chunk;
+    while ((chunk = await this.readChunk(Infinity)).length > 0) {
+      yield chunk;
+    }
+  }
+}
+
+/**
+ * Passes entry content through while computing its size and crc32, which are
+ * set on the entry data when the content ends. When the archive recorded a
+ * crc32 or size for the entry, a mismatch errors the stream.
+ *
+ * @private
+ */
+export class EntryStream extends Transform {
+  /**
+   * @constructor
+   * @param {EntryData} data
+   * @param {Function} [expected] Returns the recorded `{ crc32, size }`.
+   */
+  constructor(data, expected) {
+    super();
+    this.data = data;
+    this.expected = expected || null;
+    this.checksum = 0;
+    this.size = 0;
+  }
+  _transform(chunk, encoding, callback) {
+    this.checksum = crc32.unsigned(chunk, this.checksum);
+    this.size += chunk.length;
+    callback(null, chunk);
+  }
+  _flush(callback) {
+    const expected = this.expected ? this.expected() : {};
+    if (
+      (typeof expected.crc32 === "number" &&
+        expected.crc32 !== this.checksum) ||
+      (typeof expected.size === "number" && expected.size !== this.size)
+    ) {
+      callback(
+        new ArchiverError("ENTRYCORRUPTED", {
+          name: this.data.name,
+          crc32: this.checksum,
+          size: this.size,
+        }),
+      );
+      return;
+    }
+    this.data.crc32 = this.checksum;
+    this.data.size = this.size;
+    callback();
+  }
+}
+
+/**
+ * Buffers a whole stream.
+ *
+ * @private
+ * @param  {Stream} stream
+ * @return {Promise<Buffer>}
+ */
+export function collect(stream) {
+  return new Promise(function (resolve, reject) {
+    const chunks = [];
+    stream.on("data", function (chunk) {
+      chunks.push(chunk);
+    });
+    stream.on("error", reject);
+    stream.on("end", function () {
+      resolve(Buffer.concat(chunks));
+    });
+  });
+}
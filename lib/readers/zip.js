@@ -0,0 +1,508 @@
+import zlib from "zlib";
+import { Readable } from "readable-stream";
+import { ArchiverError } from "../error.js";
+import { trailingSlashIt } from "../utils.js";
+import { collect, EntryStream } from "./utils.js";
+
+/**
+ * ZIP Format Reader
+ *
+ * @module readers/zip
+ * @license [MIT]{@link https://github.com/archiverjs/node-archiver/blob/master/LICENSE}
+ * @copyright (c) 2012-2014 Chris Talkington, contributors.
+ */
+
+const SIG_LFH = 0x04034b50;
+const SIG_DD = 0x08074b50;
+const SIG_CFH = 0x02014b50;
+const SIG_EOCD = 0x06054b50;
+const SIG_ZIP64_EOCD = 0x06064b50;
+const SIG_ZIP64_EOCD_LOC = 0x07064b50;
+const ZIP64_MAGIC = 0xffffffff;
+const ZIP64_MAGIC_SHORT = 0xffff;
+const ZIP64_EXTRA_ID = 0x0001;
+const EXTENDED_TIMESTAMP_ID = 0x5455;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const PLATFORM_UNIX = 3;
+const S_IFMT = 61440; // 0170000
+const S_IFDIR = 16384; // 0040000
+const S_IFLNK = 40960; // 0120000
+const DD_SIG_BYTES = Buffer.from([0x50, 0x4b, 0x07, 0x08]);
+// the largest data descriptor: signature, crc32 and two zip64 sizes
+const DD_MAX_LENGTH = 24;
+const CHUNK_SIZE = 64 * 1024;
+const CP437 =
+  "ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■ ";
+
+/**
+ * Reads the entries of a zip archive with random access, using its central
+ * directory.
+ *
+ * @param  {Object} file An object providing `size`, `read(position, length)`
+ * and `createReadStream(start, end)`.
+ * @param  {Object} [options]
+ * @param  {Boolean} [options.forceLocalTime=false] Reads entry times as local time.
+ * @return {AsyncGenerator<Object>} Yields `{ data, stream }` objects.
+ */
+export async function* readZipFile(file, options) {
+  options = options || {};
+  const directory = await readCentralDirectory(file);
+  let offset = directory.offset;
+  for (let i = 0; i < directory.entries; i++) {
+    const header = await file.read(offset, 46);
+    if (header.length < 46 || header.readUInt32LE(0) !== SIG_CFH) {
+      throw corrupted("invalid central directory file header");
+    }
+    const nameLength = header.readUInt16LE(28);
+    const extraLength = header.readUInt16LE(30);
+    const commentLength = header.readUInt16LE(32);
+    const variable = await file.read(
+      offset + 46,
+      nameLength + extraLength + commentLength,
+    );
+    offset += 46 + variable.length;
+    const record = {
+      versionMadeBy: header.readUInt16LE(4),
+      flags: header.readUInt16LE(8),
+      method: header.readUInt16LE(10),
+      time: header.readUInt16LE(12),
+      date: header.readUInt16LE(14),
+      crc32: header.readUInt32LE(16),
+      compressedSize: header.readUInt32LE(20),
+      size: header.readUInt32LE(24),
+      externalAttributes: header.readUInt32LE(38),
+      localOffset: header.readUInt32LE(42),
+      name: variable.subarray(0, nameLength),
+      extra: variable.subarray(nameLength, nameLength + extraLength),
+      comment: variable.subarray(nameLength + extraLength),
+    };
+    applyZip64Extra(record, true);
+    const data = entryDataFromRecord(record, options);
+    const local = await file.read(record.localOffset, 30);
+    if (local.length < 30 || local.readUInt32LE(0) !== SIG_LFH) {
+      throw corrupted("invalid local file header", data.name);
+    }
+    const start =
+      record.localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+    let stream;
+    if (record.compressedSize === 0) {
+      stream = Readable.from([]);
+    } else {
+      stream = file.createReadStream(start, start + record.compressedSize - 1);
+    }
+    stream = decodeEntryStream(stream, record, data);
+    if (data.type === "symlink") {
+      data.linkname = (await collect(stream)).toString();
+      data.size = 0;
+      stream = Readable.from([]);
+    }
+    yield { data: data, stream: stream };
+  }
+}
+
+/**
+ * Reads the entries of a zip archive sequentially from its local file
+ * headers, for sources that can't be read with random access.
+ *
+ * Entries written with a data descriptor are delimited by searching for the
+ * descriptor signature whose sizes match the data read so far.
+ *
+ * @param  {ChunkReader} reader
+ * @param  {Object} [options]
+ * @param  {Boolean} [options.forceLocalTime=false] Reads entry times as local time.
+ * @return {AsyncGenerator<Object>} Yields `{ data, stream }` objects.
+ */
+export async function* readZipStream(reader, options) {
+  options = options || {};
+  while (true) {
+    const signature = await reader.read(4);
+    if (signature.length === 0) {
+      return;
+    }
+    if (signature.length < 4) {
+      throw corrupted("unexpected end of archive");
+    }
+    const sig = signature.readUInt32LE(0);
+    if (sig === SIG_CFH || sig === SIG_EOCD || sig === SIG_ZIP64_EOCD) {
+      await reader.skipAll();
+      return;
+    }
+    if (sig !== SIG_LFH) {
+      throw corrupted("invalid local file header signature");
+    }
+    const header = await reader.readExactly(26);
+    const nameLength = header.readUInt16LE(22);
+    const extraLength = header.readUInt16LE(24);
+    const variable = await reader.readExactly(nameLength + extraLength);
+    const record = {
+      versionMadeBy: 0,
+      flags: header.readUInt16LE(2),
+      method: header.readUInt16LE(4),
+      time: header.readUInt16LE(6),
+      date: header.readUInt16LE(8),
+      crc32: header.readUInt32LE(10),
+      compressedSize: header.readUInt32LE(14),
+      size: header.readUInt32LE(18),
+      externalAttributes: 0,
+      localOffset: 0,
+      name: variable.subarray(0, nameLength),
+      extra: variable.subarray(nameLength),
+      comment: Buffer.alloc(0),
+    };
+    applyZip64Extra(record, false);
+    const data = entryDataFromRecord(record, options);
+    const cursor = new EntryCursor(reader, record);
+    if (!cursor.sized) {
+      data.size = null;
+      data.crc32 = null;
+    }
+    let stream = decodeEntryStream(Readable.from(cursor), record, data);
+    if (data.type === "symlink") {
+      data.linkname = (await collect(stream)).toString();
+      data.size = 0;
+      stream = Readable.from([]);
+    }
+    yield { data: data, stream: stream };
+    if (!stream.readableEnded) {
+      stream.destroy();
+    }
+    await cursor.skip();
+  }
+}
+
+/**
+ * Serves the raw data of a single streamed entry and consumes its data
+ * descriptor. Reads are serialized so the archive reader can safely skip
+ * whatever the consumer left unread.
+ *
+ * @private
+ */
+class EntryCursor {
+  constructor(reader, record) {
+    this.reader = reader;
+    this.record = record;
+    this.sized = !(record.flags & 8) || record.compressedSize > 0;
+    this.remaining = this.sized ? record.compressedSize : 0;
+    this.consumed = 0;
+    this.pending = Buffer.alloc(0);
+    this.done = false;
+    this.lock = Promise.resolve();
+  }
+  next() {
+    const result = this.lock.then(this._next.bind(this));
+    this.lock = result.catch(function () {});
+    return result;
+  }
+  async skip() {
+    while ((await this.next()) !== null);
+  }
+  async _next() {
+    if (this.done) {
+      return null;
+    }
+    if (this.sized) {
+      return this._nextSized();
+    }
+    return this._nextDescribed();
+  }
+  async _nextSized() {
+    if (this.remaining === 0) {
+      this.done = true;
+      if (this.record.flags & 8) {
+        await this._readDescriptor();
+      }
+      return null;
+    }
+    const chunk = await this.reader.readChunk(
+      Math.min(this.remaining, CHUNK_SIZE),
+    );
+    if (chunk.length === 0) {
+      throw corrupted("unexpected end of archive");
+    }
+    this.remaining -= chunk.length;
+    return chunk;
+  }
+  async _readDescriptor() {
+    const head = await this.reader.peek(4);
+    const offset = head.length === 4 && head.readUInt32LE(0) === SIG_DD ? 4 : 0;
+    const wide = this.record.zip64;
+    const descriptor = await this.reader.readExactly(offset + (wide ? 20 : 12));
+    this.record.crc32 = descriptor.readUInt32LE(offset);
+  }
+  async _nextDescribed() {
+    while (true) {
+      const found = this._findDescriptor();
+      if (found) {
+        const chunk = this.pending.subarray(0, found.index);
+        const descriptor = this.pending.subarray(
+          found.index,
+          found.index + found.length,
+        );
+        this.reader.unshift(this.pending.subarray(found.index + found.length));
+        this.pending = Buffer.alloc(0);
+        this.record.crc32 = descriptor.readUInt32LE(4);
+        this.record.compressedSize = this.consumed + chunk.length;
+        this.record.size =
+          found.length === DD_MAX_LENGTH
+            ? readUInt64LE(descriptor, 16)
+            : descriptor.readUInt32LE(12);
+        this.done = true;
+        this.consumed += chunk.length;
+        return chunk.length > 0 ? chunk : null;
+      }
+      // everything but a possible partial descriptor can be handed out
+      const safe = this.pending.length - DD_MAX_LENGTH + 1;
+      if (safe > 0) {
+        const chunk = this.pending.subarray(0, safe);
+        this.pending = this.pending.subarray(safe);
+        this.consumed += chunk.length;
+        return chunk;
+      }
+      const more = await this.reader.readChunk(CHUNK_SIZE);
+      if (more.length === 0) {
+        throw corrupted("data descriptor not found");
+      }
+      this.pending = Buffer.concat([this.pending, more]);
+    }
+  }
+  _findDescriptor() {
+    let index = this.pending.indexOf(DD_SIG_BYTES);
+    while (index >= 0 && index + DD_MAX_LENGTH <= this.pending.length) {
+      const compressed = this.consumed + index;
+      if (this.pending.readUInt32LE(index + 8) === compressed) {
+        return { index: index, length: 16 };
+      }
+      if (readUInt64LE(this.pending, index + 8) === compressed) {
+        return { index: index, length: DD_MAX_LENGTH };
+      }
+      index = this.pending.indexOf(DD_SIG_BYTES, index + 1);
+    }
+    return null;
+  }
+  async *[Symbol.asyncIterator]() {
+    let chunk;
+    while ((chunk = await this.next()) !== null) {
+      yield chunk;
+    }
+  }
+}
+
+/**
+ * Locates and parses the end of central directory records.
+ *
+ * @private
+ * @param  {Object} file
+ * @return {Promise<Object>}
+ */
+async function readCentralDirectory(file) {
+  const length = Math.min(file.size, 22 + ZIP64_MAGIC_SHORT);
+  const tail = await file.read(file.size - length, length);
+  let index = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === SIG_EOCD) {
+      index = i;
+      break;
+    }
+  }
+  if (index === -1) {
+    throw corrupted("end of central directory record not found");
+  }
+  const directory = {
+    entries: tail.readUInt16LE(index + 10),
+    size: tail.readUInt32LE(index + 12),
+    offset: tail.readUInt32LE(index + 16),
+  };
+  const eocdPosition = file.size - length + index;
+  if (
+    directory.entries === ZIP64_MAGIC_SHORT ||
+    directory.offset === ZIP64_MAGIC ||
+    directory.size === ZIP64_MAGIC
+  ) {
+    const locator = await file.read(eocdPosition - 20, 20);
+    if (
+      locator.length === 20 &&
+      locator.readUInt32LE(0) === SIG_ZIP64_EOCD_LOC
+    ) {
+      const record = await file.read(readUInt64LE(locator, 8), 56);
+      if (record.readUInt32LE(0) !== SIG_ZIP64_EOCD) {
+        throw corrupted("invalid zip64 end of central directory record");
+      }
+      directory.entries = readUInt64LE(record, 32);
+      directory.size = readUInt64LE(record, 40);
+      directory.offset = readUInt64LE(record, 48);
+    }
+  }
+  return directory;
+}
+
+/**
+ * Replaces 32-bit sizes and offsets with the values of the zip64 extra field.
+ *
+ * @private
+ * @param  {Object} record
+ * @param  {Boolean} central Whether the record comes from the central directory.
+ * @return void
+ */
+function applyZip64Extra(record, central) {
+  record.zip64 = false;
+  eachExtraField(record.extra, function (id, field) {
+    if (id !== ZIP64_EXTRA_ID) {
+      return;
+    }
+    record.zip64 = true;
+    let offset = 0;
+    if (record.size === ZIP64_MAGIC || !central) {
+      if (field.length >= offset + 8) {
+        record.size = readUInt64LE(field, offset);
+        offset += 8;
+      }
+    }
+    if (record.compressedSize === ZIP64_MAGIC || !central) {
+      if (field.length >= offset + 8) {
+        record.compressedSize = readUInt64LE(field, offset);
+        offset += 8;
+      }
+    }
+    if (central && record.localOffset === ZIP64_MAGIC) {
+      record.localOffset = readUInt64LE(field, offset);
+    }
+  });
+}
+
+/**
+ * Builds the entry data of a central or local file header.
+ *
+ * @private
+ * @param  {Object} record
+ * @param  {Object} options
+ * @return {EntryData}
+ */
+function entryDataFromRecord(record, options) {
+  const utf8 = (record.flags & 2048) !== 0;
+  const name = decodeString(record.name, utf8);
+  const unixMode =
+    record.versionMadeBy >> 8 === PLATFORM_UNIX
+      ? record.externalAttributes >>> 16
+      : 0;
+  let type = "file";
+  if ((unixMode & S_IFMT) === S_IFLNK) {
+    type = "symlink";
+  } else if (
+    (unixMode & S_IFMT) === S_IFDIR ||
+    name.slice(-1) === "/" ||
+    record.externalAttributes & 16
+  ) {
+    type = "directory";
+  }
+  let date = decodeDosDateTime(
+    record.date,
+    record.time,
+    options.forceLocalTime,
+  );
+  eachExtraField(record.extra, function (id, field) {
+    if (id === EXTENDED_TIMESTAMP_ID && field.length >= 5 && field[0] & 1) {
+      date = new Date(field.readUInt32LE(1) * 1000);
+    }
+  });
+  if (record.flags & 1) {
+    throw new ArchiverError("ENTRYNOTSUPPORTED", {
+      name: name,
+      reason: "encrypted entries are not supported",
+    });
+  }
+  if (record.method !== METHOD_STORED && record.method !== METHOD_DEFLATED) {
+    throw new ArchiverError("ENTRYNOTSUPPORTED", {
+      name: name,
+      reason: "compression method " + record.method + " is not supported",
+    });
+  }
+  let mode = unixMode & 4095;
+  if (!mode) {
+    mode = type === "directory" ? 493 : 420;
+  }
+  return {
+    name: type === "directory" ? trailingSlashIt(name) : name,
+    type: type,
+    mode: mode,
+    date: date,
+    size: type === "directory" ? 0 : record.size,
+    linkname: null,
+    crc32: record.crc32,
+    comment: decodeString(record.comment, utf8),
+    store: record.method === METHOD_STORED,
+  };
+}
+
+/**
+ * Inflates and verifies the raw data of an entry.
+ *
+ * @private
+ * @param  {Stream} raw
+ * @param  {Object} record
+ * @param  {EntryData} data
+ * @return {Stream}
+ */
+function decodeEntryStream(raw, record, data) {
+  const output = new EntryStream(data, function () {
+    return { crc32: record.crc32, size: record.size };
+  });
+  let source = raw;
+  raw.on("error", function (err) {
+    output.destroy(err);
+  });
+  output.on("close", function () {
+    raw.destroy();
+  });
+  if (record.method === METHOD_DEFLATED) {
+    source = raw.pipe(zlib.createInflateRaw());
+    source.on("error", function (err) {
+      output.destroy(corrupted(err.message, data.name));
+    });
+  }
+  return source.pipe(output);
+}
+
+function corrupted(reason, name) {
+  return new ArchiverError("ARCHIVECORRUPTED", { name: name, reason: reason });
+}
+
+function decodeDosDateTime(date, time, forceLocalTime) {
+  const parts = [
+    ((date >> 9) & 127) + 1980,
+    ((date >> 5) & 15) - 1,
+    date & 31,
+    (time >> 11) & 31,
+    (time >> 5) & 63,
+    (time & 31) * 2,
+  ];
+  if (forceLocalTime) {
+    return new Date(...parts);
+  }
+  return new Date(Date.UTC(...parts));
+}
+
+function decodeString(buf, utf8) {
+  if (utf8) {
+    return buf.toString("utf8");
+  }
+  let str = "";
+  for (let i = 0; i < buf.length; i++) {
+    str += buf[i] < 128 ? String.fromCharCode(buf[i]) : CP437[buf[i] - 128];
+  }
+  return str;
+}
+
+function eachExtraField(extra, callback) {
+  let offset = 0;
+  while (offset + 4 <= extra.length) {
+    const id = extra.readUInt16LE(offset);
+    const length = extra.readUInt16LE(offset + 2);
+    callback(id, extra.subarray(offset + 4, offset + 4 + length));
+    offset += 4 + length;
+  }
+}
+
+function readUInt64LE(buf, offset) {
+  return buf.readUInt32LE(offset) + buf.readUInt32LE(offset + 4) * 0x100000000;
+}
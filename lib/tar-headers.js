@@ -0,0 +1,443 @@
+import { posix } from "path";
+import { ArchiverError } from "./error.js";
+
+/**
+ * TAR Headers
+ *
+ * Encodes tar headers in the ustar, pax or gnu dialect, reporting entries
+ * that can't be represented in the chosen dialect.
+ *
+ * @module tar-headers
+ * @license [MIT]{@link https://github.com/archiverjs/node-archiver/blob/master/LICENSE}
+ * @copyright (c) 2012-2014 Chris Talkington, contributors.
+ */
+
+export const TAR_FORMATS = ["ustar", "pax", "gnu"];
+
+const TYPEFLAGS = {
+  file: "0",
+  link: "1",
+  symlink: "2",
+  "character-device": "3",
+  "block-device": "4",
+  directory: "5",
+  fifo: "6",
+  "contiguous-file": "7",
+};
+
+const USTAR_MAGIC = Buffer.from("ustar\x0000", "latin1");
+const GNU_MAGIC = Buffer.from("ustar  \x00", "latin1");
+
+const HEADER_DEFAULTS = {
+  uid: 0,
+  gid: 0,
+  size: 0,
+  uname: "",
+  gname: "",
+  devmajor: 0,
+  devminor: 0,
+  linkname: "",
+};
+
+// the largest values of the octal fields, by field length
+const MAX_OCTAL_8 = 0o7777777;
+const MAX_OCTAL_12 = 0o77777777777;
+
+/**
+ * Encodes the header blocks of an entry, including any pax extended header
+ * or GNU long name entries that precede it.
+ *
+ * @param  {Object} header A tar-stream header with optional `pax`, `xattrs`,
+ * `atime` and `ctime` properties.
+ * @param  {String} format `ustar`, `pax` or `gnu`.
+ * @return {Buffer}
+ */
+export function encodeTarHeader(header, format) {
+  header = { ...header };
+  for (const [field, value] of Object.entries(HEADER_DEFAULTS)) {
+    if (header[field] === undefined || header[field] === null) {
+      header[field] = value;
+    }
+  }
+  // as tar-stream does, eg. for symlinks appended without a mode
+  if (!header.mode) {
+    header.mode = header.type === "directory" ? 493 : 420;
+  }
+  if (header.type === "directory" && !header.name.endsWith("/")) {
+    header.name += "/";
+  }
+  if (format === "pax") {
+    return encodePax(header);
+  } else if (format === "gnu") {
+    return encodeGnu(header);
+  }
+  return encodeUstar(header);
+}
+
+/**
+ * @private
+ * @param  {Object} header
+ * @return {Buffer}
+ */
+function encodeUstar(header) {
+  const extended = extendedRecords(header);
+  if (extended.length > 0) {
+    throw unrepresentable("TARFIELDUNSUPPORTED", header, extended[0][0]);
+  }
+  for (const field of ["name", "linkname", "uname", "gname"]) {
+    if (!isPortable(header[field])) {
+      throw unrepresentable("TARNAMEINVALID", header, field);
+    }
+  }
+  const path = splitPath(header.name);
+  if (path === null) {
+    throw unrepresentable("TARNAMETOOLONG", header, "name");
+  }
+  if (Buffer.byteLength(header.linkname) > 100) {
+    throw unrepresentable("TARNAMETOOLONG", header, "linkname");
+  }
+  for (const field of ["uname", "gname"]) {
+    if (Buffer.byteLength(header[field]) > 32) {
+      throw unrepresentable("TARNAMETOOLONG", header, field);
+    }
+  }
+  for (const [field, max] of [
+    ["uid", MAX_OCTAL_8],
+    ["gid", MAX_OCTAL_8],
+    ["devmajor", MAX_OCTAL_8],
+    ["devminor", MAX_OCTAL_8],
+    ["size", MAX_OCTAL_12],
+  ]) {
+    if (header[field] > max) {
+      throw unrepresentable("TARFIELDOVERFLOW", header, field);
+    }
+  }
+  const seconds = Math.floor(header.mtime.getTime() / 1000);
+  if (seconds < 0 || seconds > MAX_OCTAL_12) {
+    throw unrepresentable("TARFIELDOVERFLOW", header, "mtime");
+  }
+  return encodeBlock(header, path, USTAR_MAGIC);
+}
+
+/**
+ * Writes a pax extended header for whatever the ustar header can't hold:
+ * long or non-ASCII names, large numbers, sub-second times, `atime`,
+ * `ctime`, xattrs and custom records.
+ *
+ * @private
+ * @param  {Object} header
+ * @return {Buffer}
+ */
+function encodePax(header) {
+  const records = [];
+  const block = { ...header };
+  let path = isPortable(header.name) ? splitPath(header.name) : null;
+  if (path === null) {
+    records.push(["path", header.name]);
+    path = { name: portableName(posix.basename(header.name)), prefix: "" };
+  }
+  if (
+    !isPortable(header.linkname) ||
+    Buffer.byteLength(header.linkname) > 100
+  ) {
+    records.push(["linkpath", header.linkname]);
+    block.linkname = "";
+  }
+  for (const field of ["uname", "gname"]) {
+    if (!isPortable(header[field]) || Buffer.byteLength(header[field]) > 32) {
+      records.push([field, header[field]]);
+      block[field] = "";
+    }
+  }
+  for (const [field, max] of [
+    ["uid", MAX_OCTAL_8],
+    ["gid", MAX_OCTAL_8],
+    ["size", MAX_OCTAL_12],
+  ]) {
+    if (header[field] > max) {
+      records.push([field, String(header[field])]);
+      block[field] = 0;
+    }
+  }
+  const mtime = header.mtime.getTime();
+  if (mtime % 1000 !== 0 || mtime < 0 || mtime / 1000 > MAX_OCTAL_12) {
+    records.push(["mtime", formatTime(header.mtime)]);
+    if (mtime < 0 || mtime / 1000 > MAX_OCTAL_12) {
+      block.mtime = new Date(0);
+    }
+  }
+  records.push(...extendedRecords(header));
+  const entry = encodeBlock(block, path, USTAR_MAGIC);
+  if (records.length === 0) {
+    return entry;
+  }
+  const data = encodeRecords(records);
+  const paxHeader = encodeBlock(
+    {
+      name: "",
+      mode: 420,
+      uid: 0,
+      gid: 0,
+      size: data.length,
+      mtime: block.mtime,
+      type: "pax-header",
+      linkname: "",
+      uname: "",
+      gname: "",
+    },
+    {
+      name: ("PaxHeaders.0/" + path.name).slice(0, 100),
+      prefix: "",
+    },
+    USTAR_MAGIC,
+  );
+  return Buffer.concat([paxHeader, pad(data), entry]);
+}
+
+/**
+ * Writes GNU long name entries for long names and base-256 numbers for large
+ * values. GNU headers hold `atime` and `ctime`, but no xattrs or custom
+ * records.
+ *
+ * @private
+ * @param  {Object} header
+ * @return {Buffer}
+ */
+function encodeGnu(header) {
+  const extended = extendedRecords(header).filter(function ([key]) {
+    return key !== "atime" && key !== "ctime";
+  });
+  if (extended.length > 0) {
+    throw unrepresentable("TARFIELDUNSUPPORTED", header, extended[0][0]);
+  }
+  for (const field of ["uname", "gname"]) {
+    if (Buffer.byteLength(header[field]) > 32) {
+      throw unrepresentable("TARNAMETOOLONG", header, field);
+    }
+  }
+  const blocks = [];
+  const block = { ...header };
+  if (Buffer.byteLength(header.name) > 100) {
+    blocks.push(encodeLongName("L", header.name, header));
+  }
+  if (Buffer.byteLength(header.linkname) > 100) {
+    blocks.push(encodeLongName("K", header.linkname, header));
+    block.linkname = "";
+  }
+  blocks.push(
+    encodeBlock(
+      block,
+      { name: Buffer.from(header.name).subarray(0, 100), prefix: "" },
+      GNU_MAGIC,
+    ),
+  );
+  return Buffer.concat(blocks);
+}
+
+function encodeLongName(typeflag, name, header) {
+  const data = Buffer.concat([Buffer.from(name), Buffer.alloc(1)]);
+  const block = encodeBlock(
+    {
+      name: "././@LongLink",
+      mode: 420,
+      uid: 0,
+      gid: 0,
+      size: data.length,
+      mtime: new Date(0),
+      type: typeflag,
+      linkname: "",
+      uname: header.uname,
+      gname: header.gname,
+    },
+    { name: "././@LongLink", prefix: "" },
+    GNU_MAGIC,
+  );
+  return Buffer.concat([block, pad(data)]);
+}
+
+/**
+ * Encodes a single 512 byte header block. Numbers that don't fit their octal
+ * field are written in GNU base-256 notation, which only gnu headers reach.
+ *
+ * @private
+ * @param  {Object} header
+ * @param  {Object} path The `name` (a string or bytes) and `prefix` fields.
+ * @param  {Buffer} magic
+ * @return {Buffer}
+ */
+function encodeBlock(header, path, magic) {
+  const block = Buffer.alloc(512);
+  if (Buffer.isBuffer(path.name)) {
+    path.name.copy(block, 0);
+  } else {
+    block.write(path.name, 0, 100);
+  }
+  writeNumber(block, header.mode & 0o7777, 100, 8);
+  writeNumber(block, header.uid, 108, 8);
+  writeNumber(block, header.gid, 116, 8);
+  writeNumber(block, header.size, 124, 12);
+  writeNumber(block, Math.floor(header.mtime.getTime() / 1000), 136, 12);
+  block.write(
+    header.type === "pax-header"
+      ? "x"
+      : TYPEFLAGS[header.type] || header.type || "0",
+    156,
+    1,
+    "latin1",
+  );
+  block.write(header.linkname, 157, 100);
+  magic.copy(block, 257);
+  block.write(header.uname, 265, 32);
+  block.write(header.gname, 297, 32);
+  writeNumber(block, header.devmajor || 0, 329, 8);
+  writeNumber(block, header.devminor || 0, 337, 8);
+  if (magic === GNU_MAGIC) {
+    if (header.atime) {
+      writeNumber(block, Math.floor(header.atime.getTime() / 1000), 345, 12);
+    }
+    if (header.ctime) {
+      writeNumber(block, Math.floor(header.ctime.getTime() / 1000), 357, 12);
+    }
+  } else {
+    block.write(path.prefix, 345, 155);
+  }
+  let checksum = 8 * 32;
+  for (let i = 0; i < 512; i++) {
+    if (i < 148 || i >= 156) {
+      checksum += block[i];
+    }
+  }
+  block.write(checksum.toString(8).padStart(6, "0") + "\x00 ", 148, "latin1");
+  return block;
+}
+
+function writeNumber(block, value, offset, length) {
+  if (value >= 0 && value < Math.pow(8, length - 1)) {
+    block.write(
+      value.toString(8).padStart(length - 1, "0"),
+      offset,
+      length - 1,
+      "latin1",
+    );
+    return;
+  }
+  // base-256, big-endian with the high bit of the first byte set
+  let remaining = value;
+  for (let i = length - 1; i > 0; i--) {
+    block[offset + i] = remaining & 0xff;
+    remaining = Math.floor(remaining / 256);
+  }
+  block[offset] = value < 0 ? 0xff : 0x80;
+}
+
+/**
+ * Splits a name into the ustar name and prefix fields.
+ *
+ * @private
+ * @param  {String} name
+ * @return {(Object|null)} `null` when the name doesn't fit.
+ */
+function splitPath(name) {
+  if (Buffer.byteLength(name) <= 100) {
+    return { name: name, prefix: "" };
+  }
+  // directories keep their trailing slash in the name field
+  const trimmed = name.endsWith("/") ? name.slice(0, -1) : name;
+  let i = trimmed.lastIndexOf("/");
+  while (i > 0) {
+    const prefix = name.slice(0, i);
+    const rest = name.slice(i + 1);
+    if (Buffer.byteLength(rest) > 100) {
+      return null;
+    }
+    if (Buffer.byteLength(prefix) <= 155) {
+      return { name: rest, prefix: prefix };
+    }
+    i = trimmed.lastIndexOf("/", i - 1);
+  }
+  return null;
+}
+
+function isPortable(value) {
+  return /^[\x20-\x7e]*$/.test(value);
+}
+
+function portableName(name) {
+  return name.replace(/[^\x20-\x7e]/g, "_").slice(0, 100);
+}
+
+/**
+ * Collects the records that only pax headers can hold.
+ *
+ * @private
+ * @param  {Object} header
+ * @return {Array} `[key, value]` pairs.
+ */
+function extendedRecords(header) {
+  const records = [];
+  for (const field of ["atime", "ctime"]) {
+    if (header[field]) {
+      records.push([field, formatTime(header[field])]);
+    }
+  }
+  for (const key in header.xattrs) {
+    records.push(["SCHILY.xattr." + key, header.xattrs[key]]);
+  }
+  for (const key in header.pax) {
+    records.push([key, String(header.pax[key])]);
+  }
+  return records;
+}
+
+/**
+ * Formats a date as pax seconds, with a fraction when needed.
+ *
+ * @private
+ * @param  {Date} date
+ * @return {String}
+ */
+function formatTime(date) {
+  const time = date.getTime();
+  const seconds = Math.floor(time / 1000);
+  const millis = time - seconds * 1000;
+  if (millis === 0) {
+    return String(seconds);
+  }
+  return seconds + "." + String(millis).padStart(3, "0").replace(/0+$/, "");
+}
+
+/**
+ * Encodes `"%d %s=%s\n"` records, where the length counts itself.
+ *
+ * @private
+ * @param  {Array} records
+ * @return {Buffer}
+ */
+function encodeRecords(records) {
+  return Buffer.concat(
+    records.map(function ([key, value]) {
+      const body = Buffer.concat([
+        Buffer.from(" " + key + "="),
+        Buffer.from(value),
+        Buffer.from("\n"),
+      ]);
+      let length = body.length + String(body.length).length;
+      if (String(length).length !== String(body.length).length) {
+        length = body.length + String(length).length;
+      }
+      return Buffer.concat([Buffer.from(String(length)), body]);
+    }),
+  );
+}
+
+function pad(data) {
+  const remainder = data.length % 512;
+  if (remainder === 0) {
+    return data;
+  }
+  return Buffer.concat([data, Buffer.alloc(512 - remainder)]);
+}
+
+function unrepresentable(code, header, field) {
+  return new ArchiverError(code, { name: header.name, field: field });
+}
@@ -1,6 +1,8 @@
+import zlib from "zlib";
 import normalizePath from "normalize-path";
-import { PassThrough } from "readable-stream";
+import { PassThrough, Transform } from "readable-stream";
 import { isStream } from "is-stream";
+import { ArchiverError } from "./error.js";
 
 export function collectStream(source, callback) {
   var collection = [];
@@ -26,6 +28,76 @@ export function collectStream(source, callback) {
   });
 }
 
+/**
+ * Creates the zlib stream for an output compression codec, or `false` for
+ * `none`.
+ *
+ * @param  {String} compression `none`, `gzip`, `brotli` or `zstd`.
+ * @param  {Object} options The `gzipOptions`, `brotliOptions` and
+ * `zstdOptions` passed to zlib.
+ * @return {(Stream|false)}
+ */
+export function createCompressor(compression, options) {
+  if (compression === "none") {
+    return false;
+  } else if (compression === "gzip") {
+    return zlib.createGzip(options.gzipOptions);
+  } else if (compression === "brotli") {
+    const { level, ...brotliOptions } = options.brotliOptions;
+    if (level !== undefined) {
+      brotliOptions.params = {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: level,
+        ...brotliOptions.params,
+      };
+    }
+    return zlib.createBrotliCompress(brotliOptions);
+  } else if (compression === "zstd" && zlib.createZstdCompress) {
+    const { level, ...zstdOptions } = options.zstdOptions;
+    if (level !== undefined) {
+      zstdOptions.params = {
+        [zlib.constants.ZSTD_c_compressionLevel]: level,
+        ...zstdOptions.params,
+      };
+    }
+    return zlib.createZstdCompress(zstdOptions);
+  }
+  throw new ArchiverError("COMPRESSIONNOTSUPPORTED", {
+    compression: compression,
+  });
+}
+
+/**
+ * The entry type of a device node or fifo, or `null` for other files.
+ *
+ * @param  {fs.Stats} stats
+ * @return {(String|null)}
+ */
+export function deviceType(stats) {
+  if (stats.isCharacterDevice()) {
+    return "character-device";
+  } else if (stats.isBlockDevice()) {
+    return "block-device";
+  } else if (stats.isFIFO()) {
+    return "fifo";
+  }
+  return null;
+}
+
+/**
+ * Splits a device number into its major and minor numbers, using the Linux
+ * encoding.
+ *
+ * @param  {Number} rdev
+ * @return {{devmajor: Number, devminor: Number}}
+ */
+export function deviceNumbers(rdev) {
+  const high = Math.floor(rdev / 2 ** 32);
+  return {
+    devmajor: (((rdev >>> 8) & 0xfff) | (high & ~0xfff)) >>> 0,
+    devminor: ((rdev & 0xff) | ((rdev >>> 12) & ~0xff)) >>> 0,
+  };
+}
+
 export function dateify(dateish) {
   dateish = dateish || new Date();
 
@@ -40,6 +112,18 @@ export function dateify(dateish) {
   return dateish;
 }
 
+export function deterministicDate(dateish) {
+  if (dateish) {
+    return dateify(dateish);
+  }
+  const epoch = parseInt(process.env.SOURCE_DATE_EPOCH, 10);
+  if (!isNaN(epoch)) {
+    return new Date(epoch * 1000);
+  }
+  // the earliest date representable in a zip archive
+  return new Date("1980-01-01T00:00:00Z");
+}
+
 export function normalizeInputSource(source) {
   if (source === null) {
     return Buffer.alloc(0);
@@ -49,12 +133,70 @@ export function normalizeInputSource(source) {
     // Always pipe through a PassThrough stream to guarantee pausing the stream if it's already flowing,
     // since it will only be processed in a (distant) future iteration of the event loop, and will lose
     // data if already flowing now.
-    return source.pipe(new PassThrough());
+    const passThrough = new PassThrough();
+    // pipe doesn't forward errors, which the module reads from the copy
+    source.on("error", function (err) {
+      passThrough.destroy(err);
+    });
+    return source.pipe(passThrough);
   }
 
   return source;
 }
 
+/**
+ * Reads at least `length` bytes from the start of a stream, unless it ends
+ * first, and calls back with them and a stream that replays them followed by
+ * the rest of the source.
+ *
+ * @param  {Stream} source
+ * @param  {Number} length
+ * @param  {Function} callback
+ * @return void
+ */
+export function peekStream(source, length, callback) {
+  const chunks = [];
+  let size = 0;
+  let ended = false;
+  function onData(chunk) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size >= length) {
+      source.pause();
+      done();
+    }
+  }
+  function onEnd() {
+    ended = true;
+    done();
+  }
+  function onError(err) {
+    source.removeListener("data", onData);
+    source.removeListener("end", onEnd);
+    callback(err);
+  }
+  function done() {
+    source.removeListener("data", onData);
+    source.removeListener("end", onEnd);
+    source.removeListener("error", onError);
+    const head = Buffer.concat(chunks);
+    const output = new PassThrough();
+    output.write(head);
+    if (ended) {
+      output.end();
+    } else {
+      source.on("error", function (err) {
+        output.destroy(err);
+      });
+      source.pipe(output);
+    }
+    callback(null, head, output);
+  }
+  source.on("data", onData);
+  source.on("end", onEnd);
+  source.on("error", onError);
+}
+
 export function sanitizePath(filepath) {
   return normalizePath(filepath, false)
     .replace(/^\w+:/, "")
@@ -64,3 +206,29 @@ export function sanitizePath(filepath) {
 export function trailingSlashIt(str) {
   return str.slice(-1) !== "/" ? str + "/" : str;
 }
+
+/**
+ * Zeroes the gzip header fields that vary between runs and platforms (MTIME
+ * and OS) so deterministic archives hash the same everywhere.
+ */
+export class GzipHeaderNormalizer extends Transform {
+  constructor() {
+    super();
+    this.offset = 0;
+  }
+  _transform(chunk, encoding, callback) {
+    if (this.offset < 10) {
+      chunk = Buffer.from(chunk);
+      for (let i = 0; i < chunk.length && this.offset + i < 10; i++) {
+        const pos = this.offset + i;
+        if (pos >= 4 && pos <= 7) {
+          chunk[i] = 0;
+        } else if (pos === 9) {
+          chunk[i] = 255;
+        }
+      }
+    }
+    this.offset += chunk.length;
+    callback(null, chunk);
+  }
+}
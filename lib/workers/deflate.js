@@ -0,0 +1,31 @@
+import { parentPort, workerData } from "worker_threads";
+import zlib from "zlib";
+import crc32 from "buffer-crc32";
+
+/**
+ * Deflate Worker
+ *
+ * Compresses entry contents for the {@link DeflatePool}, replying with the
+ * raw deflate data and the crc32 of the contents.
+ *
+ * @module workers/deflate
+ * @license [MIT]{@link https://github.com/archiverjs/node-archiver/blob/master/LICENSE}
+ * @copyright (c) 2012-2014 Chris Talkington, contributors.
+ */
+parentPort.on("message", function ({ id, contents }) {
+  try {
+    contents = Buffer.from(
+      contents.buffer,
+      contents.byteOffset,
+      contents.length,
+    );
+    const data = zlib.deflateRawSync(contents, workerData.zlib);
+    parentPort.postMessage({
+      id: id,
+      crc: crc32.unsigned(contents),
+      data: data,
+    });
+  } catch (err) {
+    parentPort.postMessage({ id: id, error: err });
+  }
+});
@@ -1,8 +1,10 @@
+import crypto from "crypto";
 import {
   WriteStream,
   chmodSync,
   createReadStream,
   createWriteStream,
+  readFileSync,
   statSync,
   symlinkSync,
   unlinkSync,
@@ -18,7 +20,17 @@ import {
   UnBufferedStream,
   WriteHashStream,
 } from "./helpers/index.js";
-import { JsonArchive } from "../index.js";
+import {
+  ArArchive,
+  Archiver,
+  ArchiveReader,
+  createArchive,
+  isFormatRegistered,
+  JsonArchive,
+  registerFormat,
+  TarArchive,
+  ZipArchive,
+} from "../index.js";
 
 var testBuffer = binaryBuffer(1024 * 16);
 var testDate = new Date("Jan 03 2013 14:26:38 GMT");
@@ -208,6 +220,7 @@ describe("archiver", function () {
         archive
           .directory("test/fixtures/directory", null, { date: testDate })
           .directory("test/fixtures/directory", "Win\\DS\\", { date: testDate })
+          .directory("test/fixtures/directory", "nulldata", null)
           .directory("test/fixtures/directory", "directory", function (data) {
             if (data.name === "ignore.txt") {
               return false;
@@ -264,6 +277,10 @@ describe("archiver", function () {
         assert.property(entries, "test/fixtures/directory/subdir/subsublink");
         assert.property(entries, "directory/subdir/subsublink");
       });
+      it("should accept null data", function () {
+        assert.property(entries, "nulldata/level0.txt");
+        assert.property(entries, "nulldata/subdir/subsub/level2.txt");
+      });
       it("should handle windows path separators in prefix", function () {
         assert.property(entries, "Win/DS/level0.txt");
       });
@@ -407,6 +424,814 @@ describe("archiver", function () {
       });
     });
   });
+  describe("#signal", function () {
+    it("should abort the archive and reject finalize", async function () {
+      const controller = new AbortController();
+      const archive = new JsonArchive({ signal: controller.signal });
+      const source = new PassThrough();
+      archive.pipe(new WriteStream("tmp/signal.json"));
+      archive
+        .append(source, { name: "stream.txt" })
+        .file("test/fixtures/test.txt");
+      const finalized = archive.finalize();
+      source.write("partial");
+      setImmediate(function () {
+        controller.abort("client disconnected");
+      });
+      try {
+        await finalized;
+        assert.fail("expected finalize to reject");
+      } catch (err) {
+        assert.propertyVal(err, "code", "ABORTED");
+        assert.propertyVal(err.data, "reason", "client disconnected");
+      }
+      assert.propertyVal(archive._state, "aborted", true);
+      assert.isTrue(source.destroyed);
+    });
+    it("should drop entries whose signal was aborted", function (done) {
+      const controller = new AbortController();
+      const archive = new JsonArchive();
+      const testStream = new WriteStream("tmp/signal-entries.json");
+      testStream.on("close", function () {
+        const names = readJSON("tmp/signal-entries.json").map(function (entry) {
+          return entry.name;
+        });
+        assert.deepEqual(names, ["buffer.txt"]);
+        done();
+      });
+      archive.pipe(testStream);
+      archive
+        .append(testBuffer, { name: "buffer.txt" })
+        .append("dropped", { name: "dropped.txt", signal: controller.signal })
+        .file("test/fixtures/test.txt", { signal: controller.signal })
+        .directory("test/fixtures/directory", "directory", {
+          signal: controller.signal,
+        })
+        .glob(
+          "**/*",
+          { cwd: "test/fixtures/directory" },
+          {
+            signal: controller.signal,
+          },
+        );
+      controller.abort();
+      archive.finalize();
+    });
+    it("should not add listeners for each entry", function () {
+      const controller = new AbortController();
+      const archive = new JsonArchive();
+      for (let i = 0; i < 20; i++) {
+        archive.append("entry", {
+          name: "entry" + i + ".txt",
+          signal: controller.signal,
+        });
+      }
+      assert.equal(archive._signals.size, 1);
+      archive.abort();
+    });
+  });
+  describe("#checksums", function () {
+    function sha256(contents) {
+      return crypto.createHash("sha256").update(contents).digest("hex");
+    }
+    async function build(options) {
+      const archive = new ZipArchive(options);
+      const chunks = [];
+      const events = [];
+      archive.on("data", function (chunk) {
+        chunks.push(chunk);
+      });
+      archive.on("entry", function (data) {
+        events.push(data);
+      });
+      archive
+        .append(testBuffer, { name: "buffer.txt" })
+        .append(createReadStream("test/fixtures/test.txt"), {
+          name: "stream.txt",
+        })
+        .file("test/fixtures/test.txt", { name: "file.txt" })
+        .append(null, { name: "folder/" });
+      await archive.finalize();
+      const entries = {};
+      for await (const { data, stream } of new ArchiveReader(
+        Buffer.concat(chunks),
+      )) {
+        const contents = [];
+        for await (const chunk of stream) {
+          contents.push(chunk);
+        }
+        entries[data.name] = Buffer.concat(contents).toString();
+      }
+      return { events: events, entries: entries };
+    }
+    it("should expose the digests of each entry", async function () {
+      const { events } = await build({ checksums: ["sha256", "sha512"] });
+      const text = readFileSync("test/fixtures/test.txt");
+      const checksums = {};
+      events.forEach(function (data) {
+        checksums[data.name] = data.checksums;
+      });
+      assert.deepEqual(checksums["buffer.txt"], {
+        sha256: sha256(testBuffer),
+        sha512: crypto.createHash("sha512").update(testBuffer).digest("hex"),
+      });
+      assert.equal(checksums["stream.txt"].sha256, sha256(text));
+      assert.equal(checksums["file.txt"].sha256, sha256(text));
+      assert.isUndefined(checksums["folder/"]);
+    });
+    it("should write a checksum manifest as the final entry", async function () {
+      const { events, entries } = await build({ checksumManifest: true });
+      const text = readFileSync("test/fixtures/test.txt");
+      assert.equal(events[events.length - 1].name, "SHA256SUMS");
+      assert.equal(
+        entries["SHA256SUMS"],
+        sha256(testBuffer) +
+          "  buffer.txt\n" +
+          sha256(text) +
+          "  stream.txt\n" +
+          sha256(text) +
+          "  file.txt\n",
+      );
+    });
+    it("should write a JSON manifest", async function () {
+      const { entries } = await build({
+        checksums: "sha512",
+        checksumManifest: "checksums.json",
+      });
+      const manifest = JSON.parse(entries["checksums.json"]);
+      assert.deepEqual(
+        manifest.map(function (entry) {
+          return entry.name;
+        }),
+        ["buffer.txt", "stream.txt", "file.txt"],
+      );
+      assert.lengthOf(manifest[0].sha512, 128);
+    });
+    it("should throw on an unsupported algorithm", function () {
+      assert.throws(function () {
+        new ZipArchive({ checksums: "crc64" });
+      }, /checksum algorithm is not supported/);
+    });
+  });
+  describe("#onError", function () {
+    function failingStream() {
+      return new Readable({
+        read() {
+          this.destroy(new Error("EIO: i/o error, read"));
+        },
+      });
+    }
+    function entries(archive) {
+      const chunks = [];
+      archive.on("data", function (chunk) {
+        chunks.push(chunk);
+      });
+      return function () {
+        return JSON.parse(Buffer.concat(chunks)).map(function (entry) {
+          return entry.name;
+        });
+      };
+    }
+    before(function () {
+      if (!win32) {
+        symlinkSync("loop", "tmp/loop");
+      }
+    });
+    after(function () {
+      if (!win32) {
+        unlinkSync("tmp/loop");
+      }
+    });
+    it("should skip entries and report them", async function () {
+      const archive = new JsonArchive({ onError: "skip" });
+      const names = entries(archive);
+      archive.on("warning", function () {
+        assert.fail("skipped entries should not warn");
+      });
+      archive
+        .append(failingStream(), { name: "failing.txt" })
+        .file("test/fixtures/test-missing.txt", { name: "missing.txt" })
+        .file("test/fixtures/test.txt");
+      const report = await archive.finalize();
+      assert.deepEqual(names(), ["test/fixtures/test.txt"]);
+      assert.deepEqual(report, archive.report());
+      assert.deepEqual(
+        report.skipped.map(function (entry) {
+          return [entry.code, entry.name];
+        }),
+        [
+          ["ENTRYREADFAILED", "failing.txt"],
+          ["ENTRYSTATFAILED", "missing.txt"],
+        ],
+      );
+      assert.match(report.skipped[0].message, /EIO/);
+      assert.equal(report.skipped[1].path, "test/fixtures/test-missing.txt");
+      assert.match(report.skipped[1].message, /ENOENT/);
+    });
+    it("should warn about skipped entries", async function () {
+      const archive = new JsonArchive({ onError: "warn" });
+      const warnings = [];
+      archive.on("warning", function (err) {
+        warnings.push(err.code);
+      });
+      archive.resume();
+      archive.file("test/fixtures/test-missing.txt");
+      const report = await archive.finalize();
+      assert.deepEqual(warnings, ["ENTRYSTATFAILED"]);
+      assert.lengthOf(report.skipped, 1);
+    });
+    it("should abort the archive on failure", async function () {
+      const archive = new JsonArchive({ onError: "fail" });
+      let error;
+      archive.on("error", function (err) {
+        error = err;
+      });
+      archive.resume();
+      archive
+        .append(failingStream(), { name: "failing.txt" })
+        .file("test/fixtures/test.txt");
+      try {
+        await archive.finalize();
+        assert.fail("finalize should reject");
+      } catch (err) {
+        assert.equal(err.code, "ENTRYREADFAILED");
+        assert.equal(error, err);
+      }
+    });
+    it("should abort on module errors without a policy", async function () {
+      const archive = new TarArchive();
+      const errors = [];
+      archive.on("error", function (err) {
+        errors.push(err.code);
+      });
+      archive.resume();
+      archive
+        .append(failingStream(), { name: "failing.txt" })
+        .append("ok", { name: "ok.txt" });
+      try {
+        await archive.finalize();
+        assert.fail("finalize should reject");
+      } catch (err) {
+        assert.equal(err.code, "ENTRYREADFAILED");
+      }
+      assert.deepEqual(errors, ["ENTRYREADFAILED"]);
+    });
+    it("should skip unsupported entries", async function () {
+      const archive = new ArArchive({ onError: "skip" });
+      archive.resume();
+      archive
+        .append(null, { name: "directory/" })
+        .symlink("link.txt", "test.txt")
+        .directory("test/fixtures/directory", false);
+      const report = await archive.finalize();
+      const codes = report.skipped.map(function (entry) {
+        return entry.code;
+      });
+      assert.includeMembers(codes, [
+        "DIRECTORYNOTSUPPORTED",
+        "SYMLINKNOTSUPPORTED",
+      ]);
+      assert.notInclude(codes, "ENTRYREADFAILED");
+    });
+    it("should skip the rest of a walk that fails", async function () {
+      if (win32) {
+        this.skip();
+      }
+      const archive = new JsonArchive({ onError: "skip" });
+      const names = entries(archive);
+      archive.directory("tmp/loop", "loop").file("test/fixtures/test.txt");
+      const report = await archive.finalize();
+      assert.deepEqual(names(), ["test/fixtures/test.txt"]);
+      assert.equal(report.skipped[0].code, "GLOBFAILED");
+      assert.match(report.skipped[0].message, /ELOOP/);
+    });
+    it("should ask the function for a decision", async function () {
+      const seen = [];
+      const archive = new JsonArchive({
+        onError: function (err, entry) {
+          seen.push([err.code, entry.name]);
+          return entry.name === "optional.txt" ? "skip" : "fail";
+        },
+      });
+      archive.on("error", function () {});
+      archive.resume();
+      archive.file("test/fixtures/test-missing.txt", { name: "optional.txt" });
+      archive.file("test/fixtures/test-missing.txt", { name: "required.txt" });
+      try {
+        await archive.finalize();
+        assert.fail("finalize should reject");
+      } catch (err) {
+        assert.equal(err.code, "ENTRYSTATFAILED");
+      }
+      assert.deepEqual(seen, [
+        ["ENTRYSTATFAILED", "optional.txt"],
+        ["ENTRYSTATFAILED", "required.txt"],
+      ]);
+    });
+    it("should throw on an unknown policy", function () {
+      assert.throws(function () {
+        new JsonArchive({ onError: "ignore" });
+      }, /onError must be one of/);
+    });
+  });
+  describe("#plan", function () {
+    function appendEntries(archive) {
+      archive
+        .append("abc", { name: "buffer.txt" })
+        .append(Readable.from(["stream"]), { name: "stream.txt" })
+        .directory("test/fixtures/directory", "dir", function (data) {
+          return data.name.endsWith(".dotfile") ? false : data;
+        })
+        .file("test/fixtures/test.txt", { name: "test.txt", mode: 0o600 })
+        .file("test/fixtures/test-missing.txt");
+    }
+    it("should resolve entries without writing the archive", async function () {
+      const archive = new JsonArchive({ onError: "skip" });
+      const chunks = [];
+      archive.on("data", function (chunk) {
+        chunks.push(chunk);
+      });
+      archive.on("entry", function () {
+        assert.fail("plan should not append entries");
+      });
+      appendEntries(archive);
+      const plan = await archive.plan();
+      assert.lengthOf(chunks, 0);
+      const entries = {};
+      plan.entries.forEach(function (entry) {
+        entries[entry.name] = entry;
+      });
+      assert.propertyVal(entries["buffer.txt"], "size", 3);
+      assert.propertyVal(entries["stream.txt"], "size", null);
+      assert.propertyVal(entries["test.txt"], "mode", 0o600);
+      assert.propertyVal(
+        entries["test.txt"],
+        "size",
+        statSync("test/fixtures/test.txt").size,
+      );
+      assert.propertyVal(
+        entries["test.txt"],
+        "sourcePath",
+        "test/fixtures/test.txt",
+      );
+      assert.propertyVal(entries["dir/subdir/"], "type", "directory");
+      assert.notProperty(entries, "dir/.dotfile");
+      assert.equal(plan.totals.entries, plan.entries.length);
+      assert.equal(
+        plan.totals.bytes,
+        plan.entries.reduce(function (total, entry) {
+          return total + (entry.size || 0);
+        }, 0),
+      );
+      assert.equal(plan.totals.types.directory, 2);
+      assert.deepEqual(
+        plan.skipped.map(function (entry) {
+          return entry.code;
+        }),
+        ["ENTRYSTATFAILED"],
+      );
+    });
+    it("should match the entries of a real run", async function () {
+      const options = { deterministic: true, onError: "skip" };
+      const planned = new JsonArchive(options);
+      appendEntries(planned);
+      const plan = await planned.plan();
+      const archive = new JsonArchive(options);
+      const written = [];
+      archive.on("entry", function (entry) {
+        written.push([entry.name, entry.type, entry.mode]);
+      });
+      archive.resume();
+      appendEntries(archive);
+      await archive.finalize();
+      assert.deepEqual(
+        plan.entries.map(function (entry) {
+          return [entry.name, entry.type, entry.mode];
+        }),
+        written,
+      );
+    });
+    it("should not be finalized afterwards", async function () {
+      const archive = new TarArchive();
+      archive.append("abc", { name: "buffer.txt" });
+      await archive.plan();
+      archive.on("error", function () {});
+      try {
+        await archive.finalize();
+        assert.fail("finalize should reject");
+      } catch (err) {
+        assert.equal(err.code, "FINALIZING");
+      }
+    });
+  });
+  describe("#progress", function () {
+    before(function () {
+      writeFileSync("tmp/progress.bin", binaryBuffer(1024 * 1024));
+    });
+    it("should report the bytes read while an entry is appended", async function () {
+      const archive = new TarArchive({
+        gzip: true,
+        progressInterval: 0,
+        progressBytes: 64 * 1024,
+      });
+      const events = [];
+      archive.on("progress", function (progress) {
+        events.push(progress);
+      });
+      archive.resume();
+      archive.file("tmp/progress.bin", { name: "progress.bin" });
+      await archive.finalize();
+      const partial = events.filter(function (progress) {
+        return progress.entry !== null;
+      });
+      assert.isAbove(partial.length, 1);
+      assert.equal(partial[0].entry.name, "progress.bin");
+      assert.equal(partial[0].entry.totalBytes, 1024 * 1024);
+      for (let i = 1; i < events.length; i++) {
+        assert.isAtLeast(
+          events[i].fs.processedBytes,
+          events[i - 1].fs.processedBytes,
+        );
+        assert.isAtLeast(events[i].bytes.read, events[i - 1].bytes.read);
+      }
+      const last = events[events.length - 1];
+      assert.equal(last.fs.processedBytes, 1024 * 1024);
+      assert.equal(last.bytes.read, 1024 * 1024);
+      assert.equal(last.bytes.written, archive.pointer());
+      assert.equal(last.ratio, last.bytes.written / last.bytes.read);
+      assert.isAbove(last.throughput, 0);
+      assert.equal(last.eta, 0);
+      assert.isTrue(last.discoveryComplete);
+    });
+    it("should count appended buffers and streams", async function () {
+      const archive = new JsonArchive({ progressInterval: 0 });
+      const events = [];
+      archive.on("progress", function (progress) {
+        events.push(progress);
+      });
+      archive.resume();
+      archive
+        .append("abc", { name: "buffer.txt" })
+        .append(Readable.from([Buffer.from("stream")]), { name: "stream.txt" });
+      await archive.finalize();
+      assert.lengthOf(events, 2);
+      assert.isNull(events[1].entry);
+      assert.equal(events[1].bytes.read, 9);
+      assert.equal(events[1].fs.totalBytes, 0);
+      assert.isTrue(events[1].discoveryComplete);
+    });
+  });
+  describe("#ignore", function () {
+    before(function () {
+      const files = {
+        ".gitignore": [
+          "# build output",
+          "*.log",
+          "!keep.log",
+          "build/",
+          "/root-only.txt",
+          "docs/**/*.tmp",
+          "\\#hash",
+          "",
+        ].join("\n"),
+        "a.log": "a",
+        "keep.log": "keep",
+        "root-only.txt": "root",
+        "#hash": "hash",
+        "build/out.js": "out",
+        "docs/x.tmp": "x",
+        "docs/a/b/c.tmp": "c",
+        "docs/a/b/c.md": "c",
+        "node_modules/dep/index.js": "dep",
+        "sub/.gitignore": "!*.log\nnested/\n",
+        "sub/b.log": "b",
+        "sub/build": "not a directory",
+        "sub/root-only.txt": "sub",
+        "sub/nested/skipped.txt": "skipped",
+      };
+      for (const name of Object.keys(files)) {
+        const path = "tmp/ignore/" + name;
+        mkdirp.sync(path.slice(0, path.lastIndexOf("/")));
+        writeFileSync(path, files[name]);
+      }
+    });
+    async function names(options) {
+      const plan = await new JsonArchive()
+        .directory("tmp/ignore", false, {}, options)
+        .plan();
+      return plan.entries
+        .map(function (entry) {
+          return entry.name;
+        })
+        .sort();
+    }
+    it("should leave out paths matching the ignore globs", async function () {
+      const entries = await names({ ignore: ["**/node_modules", "**/*.tmp"] });
+      assert.include(entries, "a.log");
+      assert.include(entries, "docs/a/b/c.md");
+      assert.notInclude(entries, "docs/a/b/c.tmp");
+      assert.notInclude(entries, "node_modules/");
+      assert.notInclude(entries, "node_modules/dep/index.js");
+    });
+    it("should honor nested ignore files like git", async function () {
+      const entries = await names({
+        ignore: "node_modules",
+        ignoreFiles: [".gitignore"],
+      });
+      assert.deepEqual(entries, [
+        ".gitignore",
+        "docs/",
+        "docs/a/",
+        "docs/a/b/",
+        "docs/a/b/c.md",
+        "keep.log",
+        "sub/",
+        "sub/.gitignore",
+        "sub/b.log",
+        "sub/build",
+        "sub/root-only.txt",
+      ]);
+    });
+  });
+  describe("#prescan", function () {
+    it("should emit the totals before writing any data", async function () {
+      const archive = new JsonArchive({ prescan: true });
+      const events = [];
+      let progress;
+      archive.on("scanned", function (scanned) {
+        events.push(["scanned", scanned]);
+      });
+      archive.on("data", function () {
+        events.push(["data"]);
+      });
+      archive.on("entry", function (entry) {
+        events.push(["entry", entry.name]);
+      });
+      archive.on("progress", function (data) {
+        progress = data;
+      });
+      archive
+        .append("abc", { name: "buffer.txt" })
+        .directory("test/fixtures/directory", "dir")
+        .file("test/fixtures/test.txt", { name: "test.txt" });
+      await archive.finalize();
+      assert.equal(events[0][0], "scanned");
+      const entries = events.filter(function (event) {
+        return event[0] === "entry";
+      });
+      assert.deepEqual(events[0][1].entries, { total: entries.length });
+      assert.equal(events[0][1].fs.totalBytes, progress.fs.totalBytes);
+      assert.equal(entries[0][1], "buffer.txt");
+    });
+    it("should resolve the totals from scan before finalize", async function () {
+      const archive = new TarArchive();
+      const chunks = [];
+      let progress;
+      archive.on("data", function (chunk) {
+        chunks.push(chunk);
+      });
+      archive.on("progress", function (data) {
+        progress = data;
+      });
+      archive
+        .append("abc", { name: "buffer.txt" })
+        .directory("test/fixtures/directory", "dir")
+        .file("test/fixtures/test.txt", { name: "test.txt" });
+      const scanned = await archive.scan();
+      await new Promise(function (resolve) {
+        setTimeout(resolve, 20);
+      });
+      assert.lengthOf(chunks, 0);
+      await archive.finalize();
+      assert.isAbove(chunks.length, 0);
+      assert.isAbove(scanned.entries.total, 2);
+      assert.equal(scanned.entries.total, progress.entries.processed);
+      assert.equal(scanned.fs.totalBytes, progress.fs.processedBytes);
+    });
+    it("should close the queue", async function () {
+      const archive = new JsonArchive();
+      const errors = [];
+      archive.on("error", function (err) {
+        errors.push(err.code);
+      });
+      await archive.scan();
+      archive.append("abc", { name: "late.txt" });
+      assert.deepEqual(errors, ["QUEUECLOSED"]);
+    });
+  });
+  describe("#formats", function () {
+    // writes a line with the type and name of each entry
+    class Listing {
+      constructor(options) {
+        this.options = { ...options };
+        this.engine = new PassThrough();
+      }
+      append(source, data, callback) {
+        this.engine.write(data.type + " " + data.name + "\n");
+        if (Buffer.isBuffer(source)) {
+          callback(null, data);
+          return;
+        }
+        source.on("error", callback);
+        source.on("end", function () {
+          callback(null, data);
+        });
+        source.resume();
+      }
+      finalize() {
+        this.engine.end();
+      }
+      on() {
+        return this.engine.on.apply(this.engine, arguments);
+      }
+      pipe() {
+        return this.engine.pipe.apply(this.engine, arguments);
+      }
+      unpipe() {
+        return this.engine.unpipe.apply(this.engine, arguments);
+      }
+    }
+    before(function () {
+      registerFormat("listing", Listing, { directory: true });
+    });
+    it("should register the built-in formats", function () {
+      for (const format of ["zip", "tar", "cpio", "ar", "deb", "json"]) {
+        assert.isTrue(isFormatRegistered(format));
+      }
+      assert.isFalse(isFormatRegistered("rar"));
+    });
+    it("should create archives of registered formats", async function () {
+      const archive = createArchive("listing");
+      assert.instanceOf(archive, Archiver);
+      const chunks = [];
+      archive.on("data", function (chunk) {
+        chunks.push(chunk);
+      });
+      archive
+        .append(null, { name: "directory/" })
+        .append("a", { name: "directory/a.txt" })
+        .file("test/fixtures/test.txt", { name: "test.txt" });
+      await archive.finalize();
+      assert.equal(
+        Buffer.concat(chunks).toString(),
+        "directory directory/\nfile directory/a.txt\nfile test.txt\n",
+      );
+    });
+    it("should create built-in formats", async function () {
+      const archive = createArchive("json");
+      const chunks = [];
+      archive.on("data", function (chunk) {
+        chunks.push(chunk);
+      });
+      archive.append("a", { name: "a.txt" });
+      await archive.finalize();
+      assert.equal(JSON.parse(Buffer.concat(chunks))[0].name, "a.txt");
+    });
+    it("should reject entries the format does not support", function (done) {
+      const archive = createArchive("listing");
+      archive.on("error", function (err) {
+        assert.equal(err.code, "SYMLINKNOTSUPPORTED");
+        done();
+      });
+      archive.symlink("link.txt", "a.txt");
+    });
+    it("should reject hardlinks unless the format supports them", function (done) {
+      const archive = createArchive("listing");
+      archive.on("error", function (err) {
+        assert.equal(err.code, "HARDLINKNOTSUPPORTED");
+        done();
+      });
+      archive.append(null, { name: "b.txt", type: "link", linkname: "a.txt" });
+    });
+    it("should throw on invalid registrations", function () {
+      assert.throws(function () {
+        registerFormat("listing", Listing);
+      }, /format already registered/);
+      assert.throws(function () {
+        registerFormat("", Listing);
+      }, /format name must be a non-empty string/);
+      assert.throws(function () {
+        registerFormat(
+          "broken",
+          class {
+            append() {}
+            finalize() {}
+          },
+        );
+      }, /module must implement/);
+      assert.isFalse(isFormatRegistered("broken"));
+    });
+    it("should throw on unknown formats", function () {
+      assert.throws(function () {
+        createArchive("rar");
+      }, /format not registered/);
+    });
+    it("should throw when the format is already set", function () {
+      const archive = new ZipArchive();
+      assert.throws(function () {
+        archive._useFormat("tar");
+      }, /archive format already set/);
+      assert.throws(function () {
+        archive._setModule(new Listing(), {});
+      }, /module already set/);
+    });
+  });
+  describe("#toWebStream", function () {
+    it("should stream the archive through a web stream", async function () {
+      const archive = new JsonArchive();
+      const webStream = archive.toWebStream();
+      archive
+        .append(testBuffer, { name: "buffer.txt", date: testDate })
+        .file("test/fixtures/test.txt", { name: "test.txt" })
+        .finalize();
+      const body = await new Response(webStream).json();
+      assert.lengthOf(body, 2);
+      assert.equal(archive.pointer(), Buffer.byteLength(JSON.stringify(body)));
+    });
+    it("should apply backpressure to the archive", function (done) {
+      const archive = new JsonArchive();
+      const reader = archive.toWebStream({ highWaterMark: 1 }).getReader();
+      archive.once("data", function () {
+        setImmediate(function () {
+          assert.isTrue(archive.isPaused());
+          reader.cancel().then(function () {
+            done();
+          });
+        });
+      });
+      archive.append(testBuffer, { name: "buffer.txt" }).finalize();
+    });
+    it("should abort the archive when cancelled", async function () {
+      const archive = new JsonArchive();
+      const webStream = archive.toWebStream();
+      archive.append(testBuffer, { name: "buffer.txt" });
+      const finalized = archive.finalize();
+      await webStream.cancel();
+      assert.propertyVal(archive._state, "aborted", true);
+      try {
+        await finalized;
+        assert.fail("finalize should reject");
+      } catch (err) {
+        assert.equal(err.code, "ABORTED");
+      }
+    });
+    it("should error the web stream on archive errors", async function () {
+      const archive = new JsonArchive();
+      const reader = archive.toWebStream().getReader();
+      archive.finalize();
+      archive.append(testBuffer, { name: "buffer.txt" });
+      try {
+        while (!(await reader.read()).done);
+        assert.fail("expected web stream to error");
+      } catch (err) {
+        assert.propertyVal(err, "code", "QUEUECLOSED");
+      }
+    });
+    it("should error the web stream when the archive is aborted", async function () {
+      const archive = new JsonArchive();
+      const reader = archive.toWebStream().getReader();
+      archive.append(testBuffer, { name: "buffer.txt" }).abort();
+      try {
+        while (!(await reader.read()).done);
+        assert.fail("expected web stream to error");
+      } catch (err) {
+        assert.propertyVal(err, "code", "ABORTED");
+      }
+    });
+  });
+  describe("#asyncIterator", function () {
+    it("should iterate over the archive output", async function () {
+      const archive = new JsonArchive();
+      archive
+        .append(testBuffer, { name: "buffer.txt", date: testDate })
+        .finalize();
+      const chunks = [];
+      for await (const chunk of archive) {
+        chunks.push(chunk);
+      }
+      const body = JSON.parse(Buffer.concat(chunks).toString());
+      assert.lengthOf(body, 1);
+      assert.propertyVal(body[0], "name", "buffer.txt");
+    });
+    it("should abort the archive when leaving the loop early", async function () {
+      const archive = new ZipArchive();
+      for (let i = 0; i < 10; i++) {
+        archive.append(testBuffer, { name: "buffer" + i + ".txt" });
+      }
+      const finalized = archive.finalize();
+      for await (const chunk of archive) {
+        assert.isAbove(chunk.length, 0);
+        break;
+      }
+      assert.propertyVal(archive._state, "aborted", true);
+      try {
+        await finalized;
+        assert.fail("finalize should reject");
+      } catch (err) {
+        assert.equal(err.code, "ABORTED");
+      }
+    });
+  });
   describe("#symlink", function () {
     var actual;
     var archive;
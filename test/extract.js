@@ -0,0 +1,361 @@
+import {
+  existsSync,
+  lstatSync,
+  readFileSync,
+  readlinkSync,
+  statSync,
+} from "fs";
+import { assert } from "chai";
+import { mkdirp } from "mkdirp";
+import { rimraf } from "rimraf";
+import engine from "tar-stream";
+import {
+  extract,
+  JsonArchive,
+  restoreJsonBundle,
+  TarArchive,
+  ZipArchive,
+} from "../index.js";
+import { binaryBuffer } from "./helpers/index.js";
+
+const testBuffer = binaryBuffer(1024 * 16);
+const testDate = new Date("Jan 03 2013 14:26:38 GMT");
+const win32 = process.platform === "win32";
+
+function collect(archive) {
+  return new Promise(function (resolve, reject) {
+    const chunks = [];
+    archive.on("data", function (chunk) {
+      chunks.push(chunk);
+    });
+    archive.on("error", reject);
+    archive.on("end", function () {
+      resolve(Buffer.concat(chunks));
+    });
+  });
+}
+
+function pack(entries) {
+  const packer = engine.pack();
+  const output = collect(packer);
+  for (const [header, content] of entries) {
+    packer.entry(header, content);
+  }
+  packer.finalize();
+  return output;
+}
+
+async function assertRejects(promise, code) {
+  try {
+    await promise;
+  } catch (err) {
+    assert.equal(err.code, code);
+    return err;
+  }
+  assert.fail("expected " + code);
+}
+
+describe("extract", function () {
+  before(function () {
+    mkdirp.sync("tmp");
+  });
+  beforeEach(function () {
+    rimraf.sync("tmp/extract");
+  });
+  describe("round trip", function () {
+    async function roundTrip(archive, restore = extract) {
+      const output = collect(archive);
+      archive
+        .append(testBuffer, { name: "buffer.bin", date: testDate })
+        .append(null, { name: "directory/", date: testDate })
+        .append("nested", { name: "directory/nested.txt", date: testDate })
+        .symlink("link.txt", "directory/nested.txt", 420)
+        .file("test/fixtures/executable.sh", {
+          name: "executable.sh",
+          date: testDate,
+        })
+        .finalize();
+      return restore(await output, "tmp/extract");
+    }
+    function assertExtracted(entries) {
+      assert.lengthOf(entries, 5);
+      assert.deepEqual(readFileSync("tmp/extract/buffer.bin"), testBuffer);
+      assert.equal(
+        readFileSync("tmp/extract/directory/nested.txt", "utf8"),
+        "nested",
+      );
+      assert.equal(
+        statSync("tmp/extract/buffer.bin").mtime.getTime(),
+        testDate.getTime(),
+      );
+      assert.equal(
+        statSync("tmp/extract/directory").mtime.getTime(),
+        testDate.getTime(),
+      );
+      assert.isTrue(lstatSync("tmp/extract/link.txt").isSymbolicLink());
+      assert.equal(
+        readlinkSync("tmp/extract/link.txt"),
+        "directory/nested.txt",
+      );
+      if (!win32) {
+        assert.equal(
+          statSync("tmp/extract/executable.sh").mode & 4095,
+          statSync("test/fixtures/executable.sh").mode & 4095,
+        );
+      }
+    }
+    it("should extract zip archives", async function () {
+      assertExtracted(await roundTrip(new ZipArchive()));
+    });
+    it("should extract gzipped tar archives", async function () {
+      assertExtracted(await roundTrip(new TarArchive({ gzip: true })));
+    });
+    it("should restore json bundles", async function () {
+      assertExtracted(
+        await roundTrip(
+          new JsonArchive({ includeContent: "utf8-or-base64" }),
+          restoreJsonBundle,
+        ),
+      );
+    });
+    it("should restore ndjson bundles", async function () {
+      assertExtracted(
+        await roundTrip(
+          new JsonArchive({ format: "ndjson", includeContent: "base64" }),
+          restoreJsonBundle,
+        ),
+      );
+    });
+    it("should extract streams", async function () {
+      const archive = new TarArchive();
+      archive.append("streamed", { name: "file.txt" });
+      archive.finalize();
+      await extract(archive, "tmp/extract");
+      assert.equal(readFileSync("tmp/extract/file.txt", "utf8"), "streamed");
+    });
+    it("should extract hardlinks", async function () {
+      const archive = await pack([
+        [{ name: "file.txt" }, "linked"],
+        [{ name: "link.txt", type: "link", linkname: "file.txt" }],
+      ]);
+      await extract(archive, "tmp/extract");
+      assert.equal(readFileSync("tmp/extract/link.txt", "utf8"), "linked");
+      assert.equal(statSync("tmp/extract/link.txt").nlink, 2);
+    });
+  });
+  describe("tar sparse", function () {
+    function sparse(pax) {
+      const map = Buffer.alloc(512);
+      map.write("3\n0\n4\n2048\n6\n4096\n0\n", "latin1");
+      return pack([
+        [
+          {
+            name: "sub/GNUSparseFile.0/sparse.img",
+            pax: {
+              "GNU.sparse.major": "1",
+              "GNU.sparse.minor": "0",
+              "GNU.sparse.name": "sub/sparse.img",
+              "GNU.sparse.realsize": "4096",
+              ...pax,
+            },
+          },
+          Buffer.concat([map, Buffer.from("headmiddle")]),
+        ],
+      ]);
+    }
+    it("should restore PAX 1.0 sparse files", async function () {
+      const entries = await extract(await sparse(), "tmp/extract");
+      assert.deepEqual(
+        entries.map(function (entry) {
+          return [entry.name, entry.size];
+        }),
+        [["sub/sparse.img", 4096]],
+      );
+      assert.isFalse(existsSync("tmp/extract/sub/GNUSparseFile.0"));
+      const expected = Buffer.alloc(4096);
+      expected.write("head", 0);
+      expected.write("middle", 2048);
+      assert.deepEqual(readFileSync("tmp/extract/sub/sparse.img"), expected);
+    });
+    it("should reject other sparse formats", async function () {
+      await assertRejects(
+        extract(await sparse({ "GNU.sparse.major": "0" }), "tmp/extract"),
+        "TARSPARSEUNSUPPORTED",
+      );
+    });
+  });
+  describe("json bundle", function () {
+    async function bundle(options) {
+      const archive = new JsonArchive(options);
+      const output = collect(archive);
+      archive
+        .append(testBuffer, { name: "buffer.bin", date: testDate })
+        .append("text", { name: "text.txt", date: testDate })
+        .finalize();
+      return JSON.parse(await output);
+    }
+    it("should embed text as utf8 and binary contents as base64", async function () {
+      const entries = await bundle({
+        includeContent: "utf8-or-base64",
+        hashes: ["sha256"],
+      });
+      assert.equal(entries[0].contentEncoding, "base64");
+      assert.deepEqual(Buffer.from(entries[0].content, "base64"), testBuffer);
+      assert.include(entries[1], {
+        content: "text",
+        contentEncoding: "utf8",
+      });
+      assert.deepEqual(entries[1].hashes, {
+        sha256:
+          "982d9e3eb996f559e633f4d194def3761d909f5a3b647d1a851fead67c32c9d1",
+      });
+    });
+    it("should reject bundles without contents", async function () {
+      await assertRejects(
+        restoreJsonBundle(await bundle(), "tmp/extract"),
+        "JSONCONTENTMISSING",
+      );
+    });
+    it("should reject corrupted contents", async function () {
+      const entries = await bundle({ includeContent: "base64" });
+      entries[1].content = Buffer.from("tampered").toString("base64");
+      await assertRejects(
+        restoreJsonBundle(entries, "tmp/extract"),
+        "ENTRYCORRUPTED",
+      );
+    });
+    it("should reject entries outside the destination", async function () {
+      const entries = await bundle({ includeContent: "base64" });
+      entries[1].name = "../escaped.txt";
+      await assertRejects(
+        restoreJsonBundle(entries, "tmp/extract"),
+        "ENTRYPATHINVALID",
+      );
+    });
+  });
+  describe("zip-slip", function () {
+    it("should reject traversing paths", async function () {
+      const archive = await pack([[{ name: "a/../../evil.txt" }, "evil"]]);
+      const err = await assertRejects(
+        extract(archive, "tmp/extract/dest"),
+        "ENTRYPATHINVALID",
+      );
+      assert.equal(err.data.name, "a/../../evil.txt");
+      assert.isFalse(existsSync("tmp/extract/evil.txt"));
+    });
+    it("should reject absolute paths", async function () {
+      const archive = await pack([[{ name: "/evil.txt" }, "evil"]]);
+      await assertRejects(extract(archive, "tmp/extract"), "ENTRYPATHINVALID");
+    });
+    it("should reject symlinks pointing outside", async function () {
+      const archive = await pack([
+        [{ name: "escape", type: "symlink", linkname: "../.." }],
+      ]);
+      await assertRejects(
+        extract(archive, "tmp/extract/dest"),
+        "ENTRYLINKINVALID",
+      );
+      assert.isFalse(existsSync("tmp/extract/dest/escape"));
+    });
+    it("should reject writes through symlinked directories", async function () {
+      const archive = await pack([
+        [{ name: "inside", type: "symlink", linkname: "." }],
+        [{ name: "inside/escape", type: "symlink", linkname: "../evil" }],
+      ]);
+      await assertRejects(
+        extract(archive, "tmp/extract/dest"),
+        "ENTRYLINKINVALID",
+      );
+    });
+    it("should reject symlink chains pointing outside", async function () {
+      const archive = await pack([
+        [{ name: "t", type: "symlink", linkname: "." }],
+        [{ name: "u", type: "symlink", linkname: "t/.." }],
+      ]);
+      await assertRejects(
+        extract(archive, "tmp/extract/chain"),
+        "ENTRYLINKINVALID",
+      );
+      assert.isFalse(existsSync("tmp/extract/chain/u"));
+    });
+    it("should reject symlinks through entries not extracted yet", async function () {
+      const archive = await pack([
+        [{ name: "u", type: "symlink", linkname: "x/.." }],
+        [{ name: "x", type: "symlink", linkname: "." }],
+      ]);
+      await assertRejects(
+        extract(archive, "tmp/extract/later"),
+        "ENTRYLINKINVALID",
+      );
+    });
+    it("should reject symlinks redirected by later entries", async function () {
+      const archive = await pack([
+        [{ name: "a/", type: "directory" }],
+        [{ name: "a/f" }, "file"],
+        [{ name: "X", type: "symlink", linkname: "a/f/../.." }],
+        [{ name: "a/f", type: "symlink", linkname: ".." }],
+      ]);
+      const err = await assertRejects(
+        extract(archive, "tmp/extract/escdest/inner"),
+        "ENTRYLINKINVALID",
+      );
+      assert.equal(err.data.name, "X");
+      assert.isFalse(existsSync("tmp/extract/escdest/inner/X"));
+    });
+    it("should not replace directories with symlinks", async function () {
+      const archive = await pack([
+        [{ name: "sub/file.txt" }, "file"],
+        [{ name: "sub", type: "symlink", linkname: "." }],
+      ]);
+      await assertRejects(
+        extract(archive, "tmp/extract/dest"),
+        "ENTRYLINKINVALID",
+      );
+      assert.isTrue(lstatSync("tmp/extract/dest/sub").isDirectory());
+    });
+    it("should reject hardlinks pointing outside", async function () {
+      const archive = await pack([
+        [{ name: "passwd", type: "link", linkname: "../../etc/passwd" }],
+      ]);
+      await assertRejects(extract(archive, "tmp/extract"), "ENTRYLINKINVALID");
+    });
+  });
+  describe("limits", function () {
+    async function zeros() {
+      const archive = new ZipArchive();
+      const output = collect(archive);
+      archive.append(Buffer.alloc(1024 * 1024), { name: "zeros.bin" });
+      archive.append("a", { name: "a.txt" });
+      archive.finalize();
+      return output;
+    }
+    it("should limit the entry count", async function () {
+      const err = await assertRejects(
+        extract(await zeros(), "tmp/extract", { maxEntries: 1 }),
+        "ENTRYLIMITEXCEEDED",
+      );
+      assert.equal(err.data.name, "a.txt");
+    });
+    it("should limit the total size", async function () {
+      await assertRejects(
+        extract(await zeros(), "tmp/extract", { maxSize: 1024 }),
+        "SIZELIMITEXCEEDED",
+      );
+    });
+    it("should limit the compression ratio", async function () {
+      await assertRejects(
+        extract(await zeros(), "tmp/extract", { maxRatio: 10 }),
+        "RATIOLIMITEXCEEDED",
+      );
+    });
+    it("should limit the compression ratio of streams", async function () {
+      const archive = new TarArchive({ gzip: true });
+      archive.append(Buffer.alloc(1024 * 1024), { name: "zeros.bin" });
+      archive.finalize();
+      await assertRejects(
+        extract(archive, "tmp/extract", { maxRatio: 10 }),
+        "RATIOLIMITEXCEEDED",
+      );
+    });
+  });
+});
@@ -1,3 +1,4 @@
+import assert from "assert";
 import crypto from "crypto";
 import { readFileSync, WriteStream } from "fs";
 import { inherits } from "util";
@@ -41,6 +42,217 @@ DeadEndStream.prototype._write = function (chuck, encoding, callback) {
   callback();
 };
 
+/**
+ * Decrypts WinZip AES entry data, verifying its password verifier and
+ * authentication code. Each block is decrypted on its own, with the
+ * little-endian counter as the CTR mode IV.
+ */
+export function decryptWinZipAes(data, password, keyLength) {
+  const saltLength = keyLength / 2;
+  const salt = data.subarray(0, saltLength);
+  const derived = crypto.pbkdf2Sync(
+    password,
+    salt,
+    1000,
+    keyLength * 2 + 2,
+    "sha1",
+  );
+  const verifier = data.subarray(saltLength, saltLength + 2);
+  if (!verifier.equals(derived.subarray(keyLength * 2))) {
+    throw new Error("invalid password");
+  }
+  const encrypted = data.subarray(saltLength + 2, data.length - 10);
+  const hmac = crypto
+    .createHmac("sha1", derived.subarray(keyLength, keyLength * 2))
+    .update(encrypted)
+    .digest()
+    .subarray(0, 10);
+  if (!hmac.equals(data.subarray(data.length - 10))) {
+    throw new Error("invalid authentication code");
+  }
+  const blocks = [];
+  for (let offset = 0; offset < encrypted.length; offset += 16) {
+    const iv = Buffer.alloc(16);
+    iv.writeUInt32LE(offset / 16 + 1, 0);
+    const decipher = crypto.createDecipheriv(
+      "aes-" + keyLength * 8 + "-ctr",
+      derived.subarray(0, keyLength),
+      iv,
+    );
+    blocks.push(decipher.update(encrypted.subarray(offset, offset + 16)));
+  }
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Decrypts traditional PKWARE encrypted entry data, returning the check byte
+ * of its header along with the data.
+ */
+export function decryptZipCrypto(data, password) {
+  const table = [];
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table.push(c >>> 0);
+  }
+  const keys = [0x12345678, 0x23456789, 0x34567890];
+  function update(byte) {
+    keys[0] = (table[(keys[0] ^ byte) & 0xff] ^ (keys[0] >>> 8)) >>> 0;
+    keys[1] = (Math.imul(keys[1] + (keys[0] & 0xff), 134775813) + 1) >>> 0;
+    keys[2] =
+      (table[(keys[2] ^ (keys[1] >>> 24)) & 0xff] ^ (keys[2] >>> 8)) >>> 0;
+  }
+  Buffer.from(password).forEach(update);
+  const output = Buffer.alloc(data.length);
+  for (let i = 0; i < data.length; i++) {
+    const temp = (keys[2] | 2) & 0xffff;
+    output[i] = data[i] ^ (((temp * (temp ^ 1)) >>> 8) & 0xff);
+    update(output[i]);
+  }
+  return { checkByte: output[11], data: output.subarray(12) };
+}
+
+/**
+ * Reads the entries of a newc or crc cpio archive up to its trailer,
+ * checking that headers and contents are padded to 4 bytes.
+ */
+export function readCpio(buffer) {
+  const fields = [
+    "ino",
+    "mode",
+    "uid",
+    "gid",
+    "nlink",
+    "mtime",
+    "filesize",
+    "devmajor",
+    "devminor",
+    "rdevmajor",
+    "rdevminor",
+    "namesize",
+    "check",
+  ];
+  const entries = [];
+  let offset = 0;
+  for (;;) {
+    if (offset % 4 !== 0) {
+      throw new Error("unaligned header at " + offset);
+    }
+    const header = { magic: buffer.toString("latin1", offset, offset + 6) };
+    fields.forEach(function (field, i) {
+      const start = offset + 6 + i * 8;
+      header[field] = parseInt(buffer.toString("latin1", start, start + 8), 16);
+    });
+    const nameStart = offset + 110;
+    header.name = buffer.toString(
+      "utf8",
+      nameStart,
+      nameStart + header.namesize - 1,
+    );
+    const dataStart = Math.ceil((nameStart + header.namesize) / 4) * 4;
+    offset = Math.ceil((dataStart + header.filesize) / 4) * 4;
+    if (header.name === "TRAILER!!!") {
+      return entries;
+    }
+    header.contents = buffer.subarray(dataStart, dataStart + header.filesize);
+    entries.push(header);
+  }
+}
+
+/**
+ * Reads the members of an ar archive, resolving names from the GNU `//` name
+ * table and checking that contents are padded to 2 bytes.
+ */
+export function readAr(buffer) {
+  assert(buffer.toString("latin1", 0, 8) === "!<arch>\n", "ar magic");
+  const members = [];
+  let table = "";
+  let offset = 8;
+  while (offset < buffer.length) {
+    if (offset % 2 !== 0) {
+      throw new Error("unaligned header at " + offset);
+    }
+    function field(start, length) {
+      return buffer.toString("latin1", offset + start, offset + start + length);
+    }
+    const size = parseInt(field(48, 10), 10);
+    const member = {
+      name: field(0, 16).trimEnd(),
+      mtime: parseInt(field(16, 12), 10),
+      uid: parseInt(field(28, 6), 10),
+      gid: parseInt(field(34, 6), 10),
+      mode: parseInt(field(40, 8), 8),
+      contents: buffer.subarray(offset + 60, offset + 60 + size),
+    };
+    offset = Math.ceil((offset + 60 + size) / 2) * 2;
+    if (member.name === "//") {
+      table = member.contents.toString("utf8");
+      continue;
+    }
+    if (/^\/\d+$/.test(member.name)) {
+      const start = parseInt(member.name.slice(1), 10);
+      member.name = table.slice(start, table.indexOf("\n", start));
+    }
+    member.name = member.name.replace(/\/$/, "");
+    members.push(member);
+  }
+  return members;
+}
+
+/**
+ * Reads the central directory of a split zip from its volumes, returning the
+ * end of central directory disk fields and, for each entry, its volume and
+ * compressed data located through the volume relative offsets.
+ */
+export function readSplitZip(volumes) {
+  const starts = [];
+  let length = 0;
+  for (const volume of volumes) {
+    starts.push(length);
+    length += volume.length;
+  }
+  const joined = Buffer.concat(volumes);
+  const last = volumes[volumes.length - 1];
+  const eocd = last.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const end = {
+    disk: last.readUInt16LE(eocd + 4),
+    centralDisk: last.readUInt16LE(eocd + 6),
+    diskEntries: last.readUInt16LE(eocd + 8),
+    totalEntries: last.readUInt16LE(eocd + 10),
+  };
+  const entries = [];
+  let pos = starts[end.centralDisk] + last.readUInt32LE(eocd + 16);
+  for (let i = 0; i < end.totalEntries; i++) {
+    const nameLength = joined.readUInt16LE(pos + 28);
+    const disk = joined.readUInt16LE(pos + 34);
+    const offset = joined.readUInt32LE(pos + 42);
+    const header = starts[disk] + offset;
+    assert(joined.readUInt32LE(header) === 0x04034b50, "local file header");
+    const dataStart =
+      header +
+      30 +
+      joined.readUInt16LE(header + 26) +
+      joined.readUInt16LE(header + 28);
+    entries.push({
+      name: joined.toString("utf8", pos + 46, pos + 46 + nameLength),
+      disk: disk,
+      method: joined.readUInt16LE(pos + 10),
+      data: joined.subarray(
+        dataStart,
+        dataStart + joined.readUInt32LE(pos + 20),
+      ),
+    });
+    pos +=
+      46 +
+      nameLength +
+      joined.readUInt16LE(pos + 30) +
+      joined.readUInt16LE(pos + 32);
+  }
+  return { end: end, entries: entries };
+}
+
 export function readJSON(filepath) {
   var contents;
   try {
@@ -1,17 +1,46 @@
 import {
   chmodSync,
+  closeSync,
   createReadStream,
+  createWriteStream,
+  ftruncateSync,
+  linkSync,
+  openSync,
+  readFileSync,
+  statSync,
   symlinkSync,
   unlinkSync,
   writeFileSync,
+  writeSync,
   WriteStream,
 } from "fs";
+import crypto from "crypto";
+import { Readable } from "stream";
 import { assert } from "chai";
+import crc32 from "buffer-crc32";
 import { mkdirp } from "mkdirp";
+import { rimraf } from "rimraf";
 import tar from "tar";
+import tarStream from "tar-stream";
+import zlib from "zlib";
 import yauzl from "yauzl";
-import { TarArchive, ZipArchive } from "../index.js";
-import { binaryBuffer } from "./helpers/index.js";
+import {
+  ArArchive,
+  ArchiveReader,
+  CpioArchive,
+  DebArchive,
+  JsonArchive,
+  TarArchive,
+  ZipArchive,
+} from "../index.js";
+import {
+  binaryBuffer,
+  decryptWinZipAes,
+  decryptZipCrypto,
+  readAr,
+  readCpio,
+  readSplitZip,
+} from "./helpers/index.js";
 
 const testBuffer = binaryBuffer(1024 * 16);
 const testDate = new Date("Jan 03 2013 14:26:38 GMT");
@@ -147,6 +176,594 @@ describe("plugins", function () {
       );
     });
   });
+  describe("tar links", function () {
+    before(function () {
+      rimraf.sync("tmp/links");
+      mkdirp.sync("tmp/links");
+      writeFileSync("tmp/links/a.txt", "linked");
+      linkSync("tmp/links/a.txt", "tmp/links/b.txt");
+      writeFileSync("tmp/links/c.txt", "linked");
+      writeFileSync("tmp/links/d.txt", "other");
+      writeFileSync("tmp/links/e.txt", "other");
+    });
+    function build(options, names) {
+      names = names || {};
+      return new Promise(function (resolve, reject) {
+        // stat one file at a time to keep the append order
+        const archive = new TarArchive({ statConcurrency: 1, ...options });
+        const parser = new tar.Parse();
+        const entries = {};
+        let progress;
+        parser.on("entry", function (entry) {
+          entries[entry.path] = {
+            type: entry.type,
+            linkpath: entry.linkpath,
+            size: entry.size,
+          };
+          entry.resume();
+        });
+        parser.on("end", function () {
+          resolve({ entries: entries, progress: progress });
+        });
+        archive.on("progress", function (data) {
+          progress = data;
+        });
+        archive.on("error", reject);
+        archive.pipe(parser);
+        archive
+          .file("tmp/links/a.txt", { name: names["a.txt"] || "a.txt" })
+          .file("tmp/links/b.txt", { name: "b.txt" })
+          .file("tmp/links/c.txt", { name: "c.txt" })
+          .file("tmp/links/d.txt", { name: "d.txt" })
+          .file("tmp/links/e.txt", { name: "e.txt" })
+          .finalize();
+      });
+    }
+    it("should store repeated inodes as hardlinks", async function () {
+      const { entries, progress } = await build({ hardlinks: true });
+      assert.equal(entries["a.txt"].type, "File");
+      assert.deepEqual(entries["b.txt"], {
+        type: "Link",
+        linkpath: "a.txt",
+        size: 0,
+      });
+      assert.equal(entries["c.txt"].type, "File");
+      assert.equal(entries["e.txt"].type, "File");
+      assert.deepEqual(progress.fs, {
+        totalBytes: 22,
+        processedBytes: 22,
+        linkedBytes: 6,
+      });
+    });
+    it("should deduplicate identical contents", async function () {
+      const { entries, progress } = await build({ dedupe: true });
+      assert.equal(entries["b.txt"].linkpath, "a.txt");
+      assert.deepEqual(entries["c.txt"], {
+        type: "Link",
+        linkpath: "a.txt",
+        size: 0,
+      });
+      assert.equal(entries["d.txt"].type, "File");
+      assert.deepEqual(entries["e.txt"], {
+        type: "Link",
+        linkpath: "d.txt",
+        size: 0,
+      });
+      assert.deepEqual(progress.fs, {
+        totalBytes: 11,
+        processedBytes: 11,
+        linkedBytes: 17,
+      });
+    });
+    it("should store repeated inodes in full by default", async function () {
+      const { entries } = await build();
+      assert.equal(entries["b.txt"].type, "File");
+      assert.equal(entries["b.txt"].size, 6);
+    });
+    it("should not link to entries that failed", async function () {
+      const { entries } = await build(
+        { hardlinks: true, tarFormat: "ustar", onError: "skip" },
+        { "a.txt": "d".repeat(200) + "/a.txt" },
+      );
+      assert.notProperty(entries, "d".repeat(200) + "/a.txt");
+      assert.equal(entries["b.txt"].type, "File");
+      assert.equal(entries["b.txt"].size, 6);
+    });
+  });
+  describe("tar sparse", function () {
+    const size = 1024 * 1024;
+    before(function () {
+      mkdirp.sync("tmp/sparse");
+      const fd = openSync("tmp/sparse/sparse.img", "w");
+      writeSync(fd, "head", 0);
+      writeSync(fd, "middle", 512 * 1024);
+      ftruncateSync(fd, size);
+      closeSync(fd);
+      writeFileSync("tmp/sparse/dense.txt", "dense");
+    });
+    function build(options) {
+      return new Promise(function (resolve, reject) {
+        const archive = new TarArchive(options);
+        const extract = tarStream.extract();
+        const entries = {};
+        const events = {};
+        extract.on("entry", function (header, stream, next) {
+          const chunks = [];
+          stream.on("data", function (chunk) {
+            chunks.push(chunk);
+          });
+          stream.on("end", function () {
+            entries[header.name] = {
+              header: header,
+              contents: Buffer.concat(chunks),
+            };
+            next();
+          });
+        });
+        extract.on("finish", function () {
+          resolve({ entries: entries, events: events });
+        });
+        archive.on("entry", function (data) {
+          events[data.name] = data;
+        });
+        archive.on("error", reject);
+        archive.pipe(extract);
+        archive
+          .file("tmp/sparse/sparse.img", { name: "images/sparse.img" })
+          .file("tmp/sparse/dense.txt", { name: "dense.txt" })
+          .finalize();
+      });
+    }
+    it("should write PAX 1.0 sparse entries", async function () {
+      if (statSync("tmp/sparse/sparse.img").blocks * 512 >= size) {
+        this.skip();
+      }
+      const { entries, events } = await build({ sparse: true });
+      const { header, contents } = entries["images/GNUSparseFile.0/sparse.img"];
+      assert.equal(header.name, "images/GNUSparseFile.0/sparse.img");
+      assert.include(header.pax, {
+        "GNU.sparse.major": "1",
+        "GNU.sparse.minor": "0",
+        "GNU.sparse.name": "images/sparse.img",
+        "GNU.sparse.realsize": String(size),
+      });
+      assert.equal(
+        contents.toString("latin1", 0, 32).replace(/\0+$/, ""),
+        "3\n0\n512\n524288\n512\n1048576\n0\n",
+      );
+      assert.equal(header.size, 512 + 1024);
+      assert.equal(contents.toString("latin1", 512, 516), "head");
+      assert.equal(contents.toString("latin1", 1024, 1030), "middle");
+      assert.isTrue(events["images/sparse.img"].sparse);
+      assert.equal(events["images/sparse.img"].size, header.size);
+      assert.equal(entries["dense.txt"].contents.toString(), "dense");
+    });
+    it("should read sparse entries back", async function () {
+      if (statSync("tmp/sparse/sparse.img").blocks * 512 >= size) {
+        this.skip();
+      }
+      const archive = new TarArchive({ sparse: true });
+      const chunks = [];
+      archive.on("data", function (chunk) {
+        chunks.push(chunk);
+      });
+      archive
+        .file("tmp/sparse/sparse.img", { name: "images/sparse.img" })
+        .file("tmp/sparse/dense.txt", { name: "dense.txt" });
+      await archive.finalize();
+      const entries = {};
+      for await (const { data, stream } of new ArchiveReader(
+        Buffer.concat(chunks),
+      )) {
+        const contents = [];
+        for await (const chunk of stream) {
+          contents.push(chunk);
+        }
+        entries[data.name] = { data: data, contents: Buffer.concat(contents) };
+      }
+      assert.deepEqual(Object.keys(entries), [
+        "images/sparse.img",
+        "dense.txt",
+      ]);
+      const { data, contents } = entries["images/sparse.img"];
+      assert.isTrue(data.sparse);
+      assert.equal(data.size, size);
+      assert.notProperty(data.pax, "GNU.sparse.name");
+      assert.deepEqual(contents, readFileSync("tmp/sparse/sparse.img"));
+      assert.equal(entries["dense.txt"].contents.toString(), "dense");
+    });
+    it("should store every byte by default", async function () {
+      const { entries } = await build();
+      assert.equal(entries["images/sparse.img"].contents.length, size);
+    });
+    it("should store every byte in ustar and gnu formats", async function () {
+      for (const tarFormat of ["ustar", "gnu"]) {
+        const { entries, events } = await build({
+          sparse: true,
+          tarFormat: tarFormat,
+        });
+        assert.equal(entries["images/sparse.img"].contents.length, size);
+        assert.notProperty(events["images/sparse.img"], "sparse");
+      }
+    });
+  });
+  describe("tar formats", function () {
+    const longName = "a/".repeat(60) + "long-name-file.txt";
+    const hugeName = "d".repeat(120) + "/" + "f".repeat(120) + ".txt";
+    function extract(options, build) {
+      return new Promise(function (resolve, reject) {
+        const archive = new TarArchive(options);
+        const extract = tarStream.extract();
+        const entries = {};
+        extract.on("entry", function (header, stream, next) {
+          const chunks = [];
+          stream.on("data", function (chunk) {
+            chunks.push(chunk);
+          });
+          stream.on("end", function () {
+            entries[header.name] = {
+              header: header,
+              contents: Buffer.concat(chunks),
+            };
+            next();
+          });
+        });
+        extract.on("finish", function () {
+          resolve(entries);
+        });
+        archive.on("error", reject);
+        archive.pipe(extract);
+        build(archive);
+        archive.finalize();
+      });
+    }
+    function failure(options, build) {
+      return new Promise(function (resolve, reject) {
+        const archive = new TarArchive(options);
+        archive.on("error", resolve);
+        archive.on("entry", function () {
+          reject(new Error("entry should not be written"));
+        });
+        archive.resume();
+        build(archive);
+      });
+    }
+    it("should write long and unicode names with pax headers", async function () {
+      const entries = await extract({ tarFormat: "pax" }, function (archive) {
+        archive
+          .append("long", { name: hugeName, date: testDate })
+          .append("unicode", { name: "ünïcode.txt", date: testDate })
+          .symlink("link", "b/".repeat(70) + "target");
+      });
+      assert.equal(entries[hugeName].contents.toString(), "long");
+      assert.equal(entries[hugeName].header.pax.path, hugeName);
+      assert.equal(entries["ünïcode.txt"].contents.toString(), "unicode");
+      assert.equal(entries["link"].header.linkname, "b/".repeat(70) + "target");
+    });
+    it("should default the mode of entries without one", async function () {
+      for (const tarFormat of ["ustar", "pax", "gnu"]) {
+        const entries = await extract(
+          { tarFormat: tarFormat },
+          function (archive) {
+            archive
+              .symlink("link", "target")
+              .symlink("explicit", "target", 0o755);
+          },
+        );
+        assert.equal(entries["link"].header.mode, 0o644, tarFormat);
+        assert.equal(entries["explicit"].header.mode, 0o755, tarFormat);
+      }
+    });
+    it("should keep sub-second times, xattrs and pax records", async function () {
+      const entries = await extract({}, function (archive) {
+        archive.append("x", {
+          name: "x.txt",
+          date: new Date(1700000000123),
+          atime: new Date(1600000000500),
+          ctime: new Date(1600000001000),
+          xattrs: { "user.comment": "hi" },
+          pax: { "LIBARCHIVE.creationtime": "1500000000" },
+        });
+      });
+      assert.deepEqual(entries["x.txt"].header.pax, {
+        mtime: "1700000000.123",
+        atime: "1600000000.5",
+        ctime: "1600000001",
+        "SCHILY.xattr.user.comment": "hi",
+        "LIBARCHIVE.creationtime": "1500000000",
+      });
+      assert.equal(entries["x.txt"].contents.toString(), "x");
+    });
+    it("should write long names with gnu headers", async function () {
+      const entries = await extract({ tarFormat: "gnu" }, function (archive) {
+        archive
+          .append("long", { name: hugeName, date: testDate })
+          .symlink("link", "b/".repeat(70) + "target");
+      });
+      assert.equal(entries[hugeName].contents.toString(), "long");
+      assert.equal(entries[hugeName].header.pax, null);
+      assert.equal(entries["link"].header.linkname, "b/".repeat(70) + "target");
+    });
+    it("should split long names into the ustar prefix", async function () {
+      const entries = await extract({ tarFormat: "ustar" }, function (archive) {
+        archive.append("long", { name: longName, date: testDate });
+      });
+      assert.equal(entries[longName].contents.toString(), "long");
+    });
+    it("should reject names ustar can't represent", async function () {
+      const err = await failure({ tarFormat: "ustar" }, function (archive) {
+        archive.append("unicode", { name: "ünïcode.txt" });
+      });
+      assert.equal(err.code, "TARNAMEINVALID");
+      const tooLong = await failure({ tarFormat: "ustar" }, function (archive) {
+        archive.symlink("link", "b/".repeat(70) + "target");
+      });
+      assert.equal(tooLong.code, "TARNAMETOOLONG");
+    });
+    it("should not write entries after a rejected one", async function () {
+      const archive = new TarArchive({ tarFormat: "ustar" });
+      const errors = [];
+      archive.on("error", function (err) {
+        errors.push(err.code);
+      });
+      archive.resume();
+      archive
+        .append("x", { name: "d".repeat(200) + "/file.txt" })
+        .append("ok", { name: "ok.txt" });
+      try {
+        await archive.finalize();
+        assert.fail("finalize should reject");
+      } catch (err) {
+        assert.equal(err.code, "TARNAMETOOLONG");
+      }
+      assert.deepEqual(errors, ["TARNAMETOOLONG"]);
+    });
+    it("should abort when a stream fails mid-entry", async function () {
+      for (const onError of [undefined, "skip"]) {
+        const archive = new TarArchive({ onError: onError });
+        const errors = [];
+        archive.on("error", function (err) {
+          errors.push(err.code);
+        });
+        archive.resume();
+        let reads = 0;
+        const source = new Readable({
+          read() {
+            if (reads++ === 0) {
+              this.push(Buffer.alloc(10));
+            } else {
+              // fails once the entry is being written
+              setTimeout(() => {
+                this.destroy(new Error("EIO: i/o error, read"));
+              }, 20);
+            }
+          },
+        });
+        archive
+          .append(source, {
+            name: "failing.txt",
+            stats: statSync("test/fixtures/test.txt"),
+          })
+          .append("ok", { name: "ok.txt" });
+        try {
+          await archive.finalize();
+          assert.fail("finalize should reject");
+        } catch (err) {
+          assert.equal(err.code, "ENTRYREADFAILED");
+        }
+        assert.deepEqual(errors, ["ENTRYREADFAILED"]);
+      }
+    });
+    it("should skip rejected entries with onError", async function () {
+      const entries = await extract(
+        { tarFormat: "ustar", onError: "skip" },
+        function (archive) {
+          archive
+            .append("x", { name: "d".repeat(200) + "/file.txt" })
+            .append("ok", { name: "ok.txt" });
+        },
+      );
+      assert.deepEqual(Object.keys(entries), ["ok.txt"]);
+    });
+    it("should reject fields ustar can't represent", async function () {
+      const err = await failure({ tarFormat: "ustar" }, function (archive) {
+        archive.append("x", { name: "x.txt", xattrs: { "user.a": "b" } });
+      });
+      assert.equal(err.code, "TARFIELDUNSUPPORTED");
+      const overflow = await failure(
+        { tarFormat: "ustar" },
+        function (archive) {
+          archive.append("x", {
+            name: "x.txt",
+            date: new Date(2 ** 33 * 1000),
+          });
+        },
+      );
+      assert.equal(overflow.code, "TARFIELDOVERFLOW");
+    });
+    it("should reject pax records in gnu headers", async function () {
+      const err = await failure({ tarFormat: "gnu" }, function (archive) {
+        archive.append("x", { name: "x.txt", pax: { comment: "hi" } });
+      });
+      assert.equal(err.code, "TARFIELDUNSUPPORTED");
+    });
+    it("should throw on an unknown format", function () {
+      assert.throws(function () {
+        new TarArchive({ tarFormat: "v7" });
+      }, /tar format must be one of/);
+    });
+  });
+  describe("tar ownership", function () {
+    function build(options, build) {
+      return new Promise(function (resolve, reject) {
+        const archive = new TarArchive(options);
+        const parser = new tar.Parse();
+        const entries = {};
+        parser.on("entry", function (entry) {
+          entries[entry.path] = {
+            uid: entry.uid,
+            gid: entry.gid,
+            uname: entry.uname,
+            gname: entry.gname,
+          };
+          entry.resume();
+        });
+        parser.on("end", function () {
+          resolve(entries);
+        });
+        archive.on("error", reject);
+        archive.pipe(parser);
+        build(archive);
+        archive.finalize();
+      });
+    }
+    it("should apply the archive ownership to every entry", async function () {
+      const entries = await build(
+        { uid: 0, gid: 0, uname: "root", gname: "root" },
+        function (archive) {
+          archive
+            .append("buffer", { name: "buffer.txt" })
+            .append("owned", { name: "owned.txt", uid: 1000, uname: "app" })
+            .file("test/fixtures/test.txt", { name: "file.txt" })
+            .symlink("link.txt", "buffer.txt")
+            .directory("test/fixtures/directory", "directory");
+        },
+      );
+      const root = { uid: 0, gid: 0, uname: "root", gname: "root" };
+      assert.deepEqual(entries["buffer.txt"], root);
+      assert.deepEqual(entries["link.txt"], root);
+      assert.deepEqual(entries["file.txt"], root);
+      assert.deepEqual(entries["directory/level0.txt"], root);
+      assert.deepEqual(entries["owned.txt"], {
+        uid: 1000,
+        gid: 0,
+        uname: "app",
+        gname: "root",
+      });
+    });
+    it("should preserve ownership from stats", async function () {
+      const stats = statSync("test/fixtures/test.txt");
+      const entries = await build(
+        { preserveOwner: true, uid: 4242, gid: 4242 },
+        function (archive) {
+          archive
+            .append("buffer", { name: "buffer.txt" })
+            .file("test/fixtures/test.txt", { name: "file.txt" });
+        },
+      );
+      assert.equal(entries["buffer.txt"].uid, 4242);
+      assert.equal(entries["file.txt"].uid, stats.uid);
+      assert.equal(entries["file.txt"].gid, stats.gid);
+    });
+    it("should map ids with an object", async function () {
+      const entries = await build(
+        { uid: 1000, gid: 1000, mapOwner: { 1000: 0 } },
+        function (archive) {
+          archive
+            .append("mapped", { name: "mapped.txt" })
+            .append("kept", { name: "kept.txt", uid: 1001 })
+            .symlink("link.txt", "mapped.txt");
+        },
+      );
+      assert.include(entries["mapped.txt"], { uid: 0, gid: 0 });
+      assert.include(entries["link.txt"], { uid: 0, gid: 0 });
+      assert.include(entries["kept.txt"], { uid: 1001, gid: 0 });
+    });
+    it("should map ownership with a function", async function () {
+      const entries = await build(
+        {
+          mapOwner: function (owner, data) {
+            return data.name.startsWith("bin/")
+              ? { uid: 0, gid: 0, uname: "root", gname: "root" }
+              : { uname: "app" };
+          },
+        },
+        function (archive) {
+          archive
+            .append("tool", { name: "bin/tool", uid: 1000 })
+            .append("data", { name: "data.txt", uid: 1000 });
+        },
+      );
+      assert.deepEqual(entries["bin/tool"], {
+        uid: 0,
+        gid: 0,
+        uname: "root",
+        gname: "root",
+      });
+      assert.include(entries["data.txt"], { uid: 1000, uname: "app" });
+    });
+    it("should throw on invalid ids", function () {
+      assert.throws(function () {
+        new TarArchive({ uid: -1 });
+      }, /uid and gid must be non-negative integers/);
+      assert.throws(function () {
+        new TarArchive({ mapOwner: "root" });
+      }, /owner map must be an object or a function/);
+    });
+  });
+  describe("tar compression", function () {
+    function build(options) {
+      return new Promise(function (resolve, reject) {
+        const archive = new TarArchive(options);
+        const chunks = [];
+        archive.on("data", function (chunk) {
+          chunks.push(chunk);
+        });
+        archive.on("end", function () {
+          resolve(Buffer.concat(chunks));
+        });
+        archive.on("error", reject);
+        archive.append(testBuffer, { name: "buffer.txt", date: testDate });
+        archive.finalize();
+      });
+    }
+    function assertTar(buffer) {
+      assert.equal(buffer.toString("latin1", 257, 262), "ustar");
+      assert.equal(buffer.toString("latin1", 0, 10), "buffer.txt");
+      assert.isTrue(
+        buffer.subarray(512, 512 + testBuffer.length).equals(testBuffer),
+      );
+    }
+    it("should compress with gzip", async function () {
+      assertTar(zlib.gunzipSync(await build({ compression: "gzip" })));
+    });
+    it("should compress with brotli", async function () {
+      const fast = await build({
+        compression: "brotli",
+        brotliOptions: { level: 1 },
+      });
+      assertTar(zlib.brotliDecompressSync(fast));
+    });
+    it("should compress with zstd", async function () {
+      if (!zlib.createZstdCompress) {
+        this.skip();
+      }
+      const output = await build({
+        compression: "zstd",
+        zstdOptions: { level: 19 },
+      });
+      assertTar(zlib.zstdDecompressSync(output));
+    });
+    it("should not compress with none", async function () {
+      assertTar(await build({ compression: "none", gzip: true }));
+    });
+    it("should throw on unsupported compression", function () {
+      assert.throws(function () {
+        new TarArchive({ compression: "lzma" });
+      }, "compression not supported by this runtime");
+    });
+    it("should emit compressor errors", function (done) {
+      const archive = new TarArchive({ compression: "brotli" });
+      const errors = [];
+      archive.on("error", function (err) {
+        if (errors.push(err) === 1) {
+          assert.equal(err.message, "compressor failed");
+          done();
+        }
+      });
+      archive._module.compressor.destroy(new Error("compressor failed"));
+    });
+  });
   describe("zip", function () {
     var actual = [];
     var archive;
@@ -256,5 +873,987 @@ describe("plugins", function () {
     it("should allow for archive comment", function () {
       assert.equal("archive comment", zipComment);
     });
+    it("should abort when a stream fails mid-entry", async function () {
+      for (const onError of [undefined, "skip", "warn"]) {
+        const archive = new ZipArchive({ onError: onError });
+        const errors = [];
+        archive.on("error", function (err) {
+          errors.push(err.code);
+        });
+        archive.on("warning", function () {
+          assert.fail("a written entry should not be skipped");
+        });
+        archive.resume();
+        let reads = 0;
+        const source = new Readable({
+          read() {
+            if (reads++ === 0) {
+              this.push(Buffer.alloc(10));
+            } else {
+              // fails once the local file header is written
+              setTimeout(() => {
+                this.destroy(new Error("EIO: i/o error, read"));
+              }, 20);
+            }
+          },
+        });
+        archive
+          .append(source, { name: "bad.txt" })
+          .append("ok", { name: "ok.txt" });
+        try {
+          await archive.finalize();
+          assert.fail("finalize should reject");
+        } catch (err) {
+          assert.equal(err.code, "ENTRYREADFAILED");
+          assert.equal(err.data.name, "bad.txt");
+        }
+        assert.deepEqual(errors, ["ENTRYREADFAILED"]);
+        assert.lengthOf(archive.report().skipped, 0);
+      }
+    });
+  });
+  describe("zip encryption", function () {
+    function build(options, append) {
+      return new Promise(function (resolve, reject) {
+        const archive = new ZipArchive(options);
+        const chunks = [];
+        const events = {};
+        archive.on("data", function (chunk) {
+          chunks.push(chunk);
+        });
+        archive.on("entry", function (data) {
+          events[data.name] = data;
+        });
+        archive.on("error", reject);
+        archive.on("end", function () {
+          yauzl.fromBuffer(Buffer.concat(chunks), function (err, zip) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            readEntries(zip).then(function (entries) {
+              resolve({ entries: entries, events: events });
+            }, reject);
+          });
+        });
+        append(archive);
+        archive.finalize();
+      });
+    }
+    function readEntries(zip) {
+      return new Promise(function (resolve, reject) {
+        const entries = {};
+        const pending = [];
+        zip.on("entry", function (entry) {
+          pending.push(
+            readRaw(zip, entry).then(function (raw) {
+              entries[entry.fileName] = { entry: entry, raw: raw };
+            }),
+          );
+        });
+        zip.on("error", reject);
+        zip.on("end", function () {
+          Promise.all(pending).then(function () {
+            resolve(entries);
+          }, reject);
+        });
+      });
+    }
+    function readRaw(zip, entry) {
+      return new Promise(function (resolve, reject) {
+        zip.readLocalFileHeader(
+          entry,
+          { minimal: true },
+          function (err, header) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            zip.openReadStreamLowLevel(
+              header.fileDataStart,
+              entry.compressedSize,
+              0,
+              entry.compressedSize,
+              false,
+              entry.uncompressedSize,
+              function (err, stream) {
+                if (err) {
+                  reject(err);
+                  return;
+                }
+                const chunks = [];
+                stream.on("data", function (chunk) {
+                  chunks.push(chunk);
+                });
+                stream.on("end", function () {
+                  resolve(Buffer.concat(chunks));
+                });
+              },
+            );
+          },
+        );
+      });
+    }
+    function aesField(entry) {
+      return entry.extraFields.find(function (field) {
+        return field.id === 0x9901;
+      }).data;
+    }
+    it("should encrypt entries with aes256", async function () {
+      const { entries, events } = await build(
+        { password: "secret" },
+        function (archive) {
+          archive
+            .append(testBuffer, { name: "deflated.txt", date: testDate })
+            .append("stored", { name: "stored.txt", store: true });
+        },
+      );
+      const deflated = entries["deflated.txt"];
+      assert.equal(deflated.entry.compressionMethod, 99);
+      assert.equal(deflated.entry.generalPurposeBitFlag & 9, 9);
+      assert.equal(deflated.entry.crc32, 0);
+      const field = aesField(deflated.entry);
+      assert.equal(field.readUInt16LE(0), 2);
+      assert.equal(field.toString("latin1", 2, 4), "AE");
+      assert.equal(field[4], 3);
+      assert.equal(field.readUInt16LE(5), 8);
+      const content = zlib.inflateRawSync(
+        decryptWinZipAes(deflated.raw, "secret", 32),
+      );
+      assert.isTrue(content.equals(testBuffer));
+      const stored = entries["stored.txt"];
+      assert.equal(aesField(stored.entry).readUInt16LE(5), 0);
+      assert.equal(
+        decryptWinZipAes(stored.raw, "secret", 32).toString(),
+        "stored",
+      );
+      assert.throws(function () {
+        decryptWinZipAes(stored.raw, "wrong", 32);
+      }, "invalid password");
+      assert.equal(events["deflated.txt"].encryptionMethod, "aes256");
+      assert.notProperty(events["deflated.txt"], "password");
+    });
+    it("should encrypt entries with aes128", async function () {
+      const { entries } = await build(
+        { password: "secret", encryptionMethod: "aes128" },
+        function (archive) {
+          archive.append(testBuffer, { name: "buffer.txt" });
+        },
+      );
+      const buffer = entries["buffer.txt"];
+      assert.equal(aesField(buffer.entry)[4], 1);
+      const content = zlib.inflateRawSync(
+        decryptWinZipAes(buffer.raw, "secret", 16),
+      );
+      assert.isTrue(content.equals(testBuffer));
+    });
+    it("should encrypt entries with zipcrypto", async function () {
+      const { entries } = await build(
+        { password: "secret", encryptionMethod: "zipcrypto" },
+        function (archive) {
+          archive.append(createReadStream("test/fixtures/test.txt"), {
+            name: "stream.txt",
+            date: testDate,
+          });
+        },
+      );
+      const stream = entries["stream.txt"];
+      assert.equal(stream.entry.compressionMethod, 8);
+      assert.equal(stream.entry.generalPurposeBitFlag & 9, 9);
+      const { checkByte, data } = decryptZipCrypto(stream.raw, "secret");
+      assert.equal(checkByte, stream.entry.lastModFileTime >> 8);
+      const content = zlib.inflateRawSync(data);
+      assert.isTrue(content.equals(readFileSync("test/fixtures/test.txt")));
+      assert.equal(stream.entry.crc32, crc32.unsigned(content));
+    });
+    it("should allow per-entry overrides", async function () {
+      const { entries, events } = await build(
+        { password: "secret" },
+        function (archive) {
+          archive
+            .append("plain", { name: "plain.txt", password: false })
+            .append("legacy", {
+              name: "legacy.txt",
+              encryptionMethod: "zipcrypto",
+              store: true,
+            })
+            .append("other", {
+              name: "other.txt",
+              password: "other",
+              store: true,
+            })
+            .append(null, { name: "directory/" });
+        },
+      );
+      assert.equal(entries["plain.txt"].entry.generalPurposeBitFlag & 1, 0);
+      assert.notProperty(events["plain.txt"], "encryptionMethod");
+      assert.equal(
+        decryptZipCrypto(entries["legacy.txt"].raw, "secret").data.toString(),
+        "legacy",
+      );
+      assert.equal(
+        decryptWinZipAes(entries["other.txt"].raw, "other", 32).toString(),
+        "other",
+      );
+      assert.notProperty(events["other.txt"], "password");
+      assert.equal(entries["directory/"].entry.generalPurposeBitFlag & 1, 0);
+    });
+    it("should error on unknown encryption methods", async function () {
+      try {
+        await build(
+          { password: "secret", encryptionMethod: "des" },
+          function (archive) {
+            archive.append("plain", { name: "plain.txt" });
+          },
+        );
+        assert.fail("should have errored");
+      } catch (err) {
+        assert.equal(err.code, "ENCRYPTIONMETHODINVALID");
+      }
+    });
+  });
+  describe("zip compression policy", function () {
+    function build(options, append) {
+      return new Promise(function (resolve, reject) {
+        const archive = new ZipArchive(options);
+        const chunks = [];
+        const events = {};
+        archive.on("data", function (chunk) {
+          chunks.push(chunk);
+        });
+        archive.on("entry", function (data) {
+          events[data.name] = data;
+        });
+        archive.on("error", reject);
+        archive.on("end", function () {
+          yauzl.fromBuffer(Buffer.concat(chunks), function (err, zip) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            const methods = {};
+            zip.on("entry", function (entry) {
+              methods[entry.fileName] = entry.compressionMethod;
+            });
+            zip.on("end", function () {
+              resolve({ events: events, methods: methods });
+            });
+          });
+        });
+        append(archive);
+        archive.finalize();
+      });
+    }
+    const png = Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      Buffer.alloc(1000),
+    ]);
+    it("should store entries by extension and magic bytes", async function () {
+      const { events, methods } = await build(
+        { compressionPolicy: true },
+        function (archive) {
+          archive
+            .append(Buffer.alloc(1000), { name: "photo.JPG" })
+            .append(png, { name: "image.bin" })
+            .append(Readable.from([png.subarray(0, 4), png.subarray(4)]), {
+              name: "streamed.bin",
+            })
+            .append(Buffer.alloc(1000), { name: "text.txt" })
+            .append(null, { name: "directory/" });
+        },
+      );
+      assert.deepEqual(events["photo.JPG"].compression, {
+        method: "store",
+        reason: "extension",
+      });
+      assert.equal(methods["photo.JPG"], 0);
+      assert.equal(events["image.bin"].compression.reason, "magic");
+      assert.equal(methods["image.bin"], 0);
+      assert.equal(events["streamed.bin"].compression.reason, "magic");
+      assert.equal(methods["streamed.bin"], 0);
+      assert.deepEqual(events["text.txt"].compression, {
+        method: "deflate",
+        reason: "default",
+      });
+      assert.equal(methods["text.txt"], 8);
+      assert.notProperty(events["directory/"], "compression");
+    });
+    it("should store entries that fail a trial compression", async function () {
+      const { events, methods } = await build(
+        { compressionPolicy: { trial: 0.9 } },
+        function (archive) {
+          archive
+            .append(crypto.randomBytes(100000), { name: "random.bin" })
+            .append(Readable.from([Buffer.alloc(100000)]), {
+              name: "zeros.bin",
+            });
+        },
+      );
+      assert.deepEqual(events["random.bin"].compression, {
+        method: "store",
+        reason: "trial",
+      });
+      assert.equal(methods["random.bin"], 0);
+      assert.deepEqual(events["zeros.bin"].compression, {
+        method: "deflate",
+        reason: "trial",
+      });
+      assert.equal(methods["zeros.bin"], 8);
+    });
+    it("should allow per-entry overrides", async function () {
+      const { events, methods } = await build(
+        { compressionPolicy: true },
+        function (archive) {
+          archive
+            .append(Buffer.alloc(1000), { name: "photo.jpg", store: false })
+            .append("text", { name: "text.txt", store: true });
+        },
+      );
+      assert.deepEqual(events["photo.jpg"].compression, {
+        method: "deflate",
+        reason: "override",
+      });
+      assert.equal(methods["photo.jpg"], 8);
+      assert.equal(events["text.txt"].compression.reason, "override");
+      assert.equal(methods["text.txt"], 0);
+    });
+  });
+  describe("zip parallel", function () {
+    async function build(options, append) {
+      const archive = new ZipArchive(options);
+      const chunks = [];
+      const names = [];
+      archive.on("data", function (chunk) {
+        chunks.push(chunk);
+      });
+      archive.on("entry", function (data) {
+        names.push(data.name);
+      });
+      append(archive);
+      await archive.finalize();
+      const entries = [];
+      for await (const { data, stream } of new ArchiveReader(
+        Buffer.concat(chunks),
+      )) {
+        const contents = [];
+        for await (const chunk of stream) {
+          contents.push(chunk);
+        }
+        entries.push({ name: data.name, contents: Buffer.concat(contents) });
+      }
+      return { archive: archive, names: names, entries: entries };
+    }
+    function appendEntries(archive) {
+      archive
+        .append(testBuffer, { name: "buffer.bin" })
+        .append(binaryBuffer(200000), { name: "large.bin" })
+        .append(createReadStream("test/fixtures/test.txt"), {
+          name: "stream.txt",
+        })
+        .append("stored", { name: "stored.txt", store: true })
+        .append("", { name: "empty.txt" })
+        .file("test/fixtures/test.txt", { name: "file.txt" })
+        .append(null, { name: "directory/" });
+    }
+    it("should write entries in append order", async function () {
+      const serial = await build({}, appendEntries);
+      const parallel = await build(
+        { parallel: { workers: 2, maxInFlight: 100000 } },
+        appendEntries,
+      );
+      assert.deepEqual(parallel.names, serial.names);
+      assert.deepEqual(
+        parallel.entries.map(function (entry) {
+          return entry.name;
+        }),
+        serial.names,
+      );
+      parallel.entries.forEach(function (entry, i) {
+        assert.isTrue(entry.contents.equals(serial.entries[i].contents));
+      });
+    });
+    it("should bound the bytes in flight", async function () {
+      let max = 0;
+      await build(
+        { parallel: { workers: 2, maxInFlight: 65536 } },
+        function (archive) {
+          const module = archive._module;
+          const deflate = module.pool.deflate;
+          module.pool.deflate = function (contents) {
+            max = Math.max(max, module.inFlight);
+            return deflate.call(this, contents);
+          };
+          for (let i = 0; i < 10; i++) {
+            archive.append(binaryBuffer(30000), { name: "file" + i });
+          }
+        },
+      );
+      assert.isAbove(max, 30000);
+      assert.isAtMost(max, 65536);
+    });
+  });
+  describe("zip split", function () {
+    function build(options, append) {
+      return new Promise(function (resolve, reject) {
+        const volumes = [];
+        const progress = [];
+        const archive = new ZipArchive({
+          splitSize: 65536,
+          volumeProvider: function (number) {
+            const path = "tmp/split-" + number + ".bin";
+            volumes.push(path);
+            return createWriteStream(path);
+          },
+          ...options,
+        });
+        archive.on("progress", function (data) {
+          progress.push(data.volume);
+        });
+        archive.on("error", reject);
+        append(archive);
+        archive.finalize().then(function () {
+          resolve({
+            archive: archive,
+            progress: progress,
+            volumes: volumes.map(function (path) {
+              return readFileSync(path);
+            }),
+          });
+        }, reject);
+      });
+    }
+    it("should split archives into volumes", async function () {
+      const content = binaryBuffer(150000);
+      const { archive, progress, volumes } = await build(
+        {},
+        function (archive) {
+          archive
+            .append(content, { name: "spanned.bin", store: true })
+            .append("test", { name: "test.txt" })
+            .file("test/fixtures/test.txt", { name: "fixture.txt" });
+        },
+      );
+      assert.lengthOf(volumes, 3);
+      let total = 0;
+      for (const volume of volumes) {
+        assert.isAtMost(volume.length, 65536);
+        total += volume.length;
+      }
+      assert.equal(archive.pointer(), total);
+      assert.equal(volumes[0].readUInt32LE(0), 0x08074b50);
+      const { end, entries } = readSplitZip(volumes);
+      assert.deepEqual(end, {
+        disk: 2,
+        centralDisk: 2,
+        diskEntries: 3,
+        totalEntries: 3,
+      });
+      assert.equal(entries[0].disk, 0);
+      assert.isTrue(entries[0].data.equals(content));
+      assert.equal(entries[1].disk, 2);
+      assert.equal(zlib.inflateRawSync(entries[1].data).toString(), "test");
+      assert.isTrue(
+        zlib
+          .inflateRawSync(entries[2].data)
+          .equals(readFileSync("test/fixtures/test.txt")),
+      );
+      assert.lengthOf(progress, 3);
+      for (const volume of progress) {
+        assert.hasAllKeys(volume, ["number", "pointer", "total"]);
+        assert.isAtMost(volume.pointer, 65536);
+      }
+    });
+    it("should not split headers across volumes", async function () {
+      const { volumes } = await build({}, function (archive) {
+        for (let i = 0; i < 600; i++) {
+          archive.append("entry " + i, { name: "directory/entry" + i });
+        }
+      });
+      assert.lengthOf(volumes, 2);
+      const { end, entries } = readSplitZip(volumes);
+      assert.equal(end.centralDisk, 0);
+      assert.equal(end.disk, 1);
+      assert.isBelow(end.diskEntries, 600);
+      assert.equal(end.totalEntries, 600);
+      entries.forEach(function (entry, i) {
+        assert.equal(zlib.inflateRawSync(entry.data).toString(), "entry " + i);
+      });
+    });
+    it("should validate split options", function () {
+      assert.throws(function () {
+        new ZipArchive({ splitSize: 1024, volumeProvider: function () {} });
+      }, /at least 65536/);
+      assert.throws(function () {
+        new ZipArchive({ splitSize: 65536 });
+      }, /volume provider/);
+    });
+  });
+  describe("cpio", function () {
+    function build(options, build) {
+      return new Promise(function (resolve, reject) {
+        const archive = new CpioArchive(options);
+        const chunks = [];
+        archive.on("data", function (chunk) {
+          chunks.push(chunk);
+        });
+        archive.on("end", function () {
+          resolve(Buffer.concat(chunks));
+        });
+        archive.on("error", reject);
+        build(archive);
+        archive.finalize();
+      });
+    }
+    function appendEntries(archive) {
+      archive
+        .append(testBuffer, { name: "buffer.txt", date: testDate })
+        .append(null, { name: "dev/", date: testDate })
+        .append(null, {
+          name: "dev/console",
+          type: "character-device",
+          mode: 0o600,
+          devmajor: 5,
+          devminor: 1,
+          date: testDate,
+        })
+        .symlink("link.txt", "buffer.txt")
+        .file("test/fixtures/test.txt", { name: "stream.txt" });
+    }
+    it("should write newc archives", async function () {
+      const entries = readCpio(await build({}, appendEntries));
+      assert.deepEqual(
+        entries.map(function (entry) {
+          return entry.name;
+        }),
+        ["buffer.txt", "dev", "dev/console", "link.txt", "stream.txt"],
+      );
+      const [buffer, dev, device, link, stream] = entries;
+      assert.equal(buffer.magic, "070701");
+      assert.equal(buffer.mode, 0o100644);
+      assert.equal(buffer.mtime, testDate.getTime() / 1000);
+      assert.deepEqual(buffer.contents, testBuffer);
+      assert.equal(dev.mode, 0o040755);
+      assert.equal(device.mode, 0o020600);
+      assert.equal(device.rdevmajor, 5);
+      assert.equal(device.rdevminor, 1);
+      assert.equal(link.mode & 0o170000, 0o120000);
+      assert.equal(link.contents.toString(), "buffer.txt");
+      assert.deepEqual(stream.contents, readFileSync("test/fixtures/test.txt"));
+    });
+    it("should write crc archives with content checksums", async function () {
+      const entries = readCpio(
+        await build({ cpioFormat: "crc" }, function (archive) {
+          archive
+            .append("hello\n", { name: "hello.txt" })
+            .append(createReadStream("test/fixtures/test.txt"), {
+              name: "stream.txt",
+            });
+        }),
+      );
+      assert.equal(entries[0].magic, "070702");
+      assert.equal(entries[0].check, 542);
+      assert.equal(
+        entries[1].check,
+        readFileSync("test/fixtures/test.txt").reduce(function (sum, byte) {
+          return sum + byte;
+        }, 0),
+      );
+    });
+    it("should compress the archive", async function () {
+      const archive = await build({ gzip: true }, appendEntries);
+      assert.lengthOf(readCpio(zlib.gunzipSync(archive)), 5);
+    });
+    it("should abort when a stream doesn't match its stats", async function () {
+      const stats = statSync("test/fixtures/test.txt");
+      const sources = [
+        ["ENTRYSIZEMISMATCH", Buffer.alloc(stats.size + 100)],
+        ["ENTRYSIZEMISMATCH", Buffer.alloc(stats.size - 1)],
+        ["ENTRYREADFAILED", null],
+      ];
+      for (const onError of [undefined, "skip"]) {
+        for (const [code, contents] of sources) {
+          const archive = new CpioArchive({ onError: onError });
+          const errors = [];
+          archive.on("error", function (err) {
+            errors.push(err.code);
+          });
+          archive.resume();
+          const source = new Readable({
+            read() {
+              if (contents) {
+                this.push(contents);
+                this.push(null);
+              } else if (!this.started) {
+                this.started = true;
+                this.push(Buffer.alloc(10));
+              } else {
+                // fails once the entry is being written
+                setTimeout(() => {
+                  this.destroy(new Error("EIO: i/o error, read"));
+                }, 20);
+              }
+            },
+          });
+          archive
+            .append(source, { name: "stream.txt", stats: stats })
+            .append("ok", { name: "ok.txt" });
+          try {
+            await archive.finalize();
+            assert.fail("finalize should reject");
+          } catch (err) {
+            assert.equal(err.code, code);
+          }
+          assert.deepEqual(errors, [code]);
+        }
+      }
+    });
+    it("should throw on an unknown format", function () {
+      assert.throws(function () {
+        new CpioArchive({ cpioFormat: "odc" });
+      }, /cpio format must be one of/);
+    });
+  });
+  describe("ar", function () {
+    function build(options, build) {
+      return new Promise(function (resolve, reject) {
+        const archive = new ArArchive(options);
+        const chunks = [];
+        archive.on("data", function (chunk) {
+          chunks.push(chunk);
+        });
+        archive.on("end", function () {
+          resolve(Buffer.concat(chunks));
+        });
+        archive.on("error", reject);
+        build(archive);
+        archive.finalize();
+      });
+    }
+    it("should write members with a name table for long names", async function () {
+      const members = readAr(
+        await build({}, function (archive) {
+          archive
+            .append("a", { name: "short.o", date: testDate })
+            .append(testBuffer, { name: "a-long-member-name.o" })
+            .append("ccc", { name: "another-long-name.o", mode: 0o755 })
+            .file("test/fixtures/test.txt", { name: "lib/test.txt" });
+        }),
+      );
+      assert.deepEqual(
+        members.map(function (member) {
+          return member.name;
+        }),
+        ["short.o", "a-long-member-name.o", "another-long-name.o", "test.txt"],
+      );
+      const [short, long, long2, stream] = members;
+      assert.equal(short.mtime, testDate.getTime() / 1000);
+      assert.equal(short.mode, 0o100644);
+      assert.equal(short.contents.toString(), "a");
+      assert.deepEqual(long.contents, testBuffer);
+      assert.deepEqual(stream.contents, readFileSync("test/fixtures/test.txt"));
+      assert.equal(long2.mode, 0o100755);
+      assert.equal(long2.contents.toString(), "ccc");
+    });
+    it("should reject entries other than files", function (done) {
+      const archive = new ArArchive();
+      archive.on("error", function (err) {
+        assert.equal(err.code, "DIRECTORYNOTSUPPORTED");
+        done();
+      });
+      archive.append(null, { name: "directory/" });
+    });
+  });
+  describe("deb", function () {
+    function build(options, build) {
+      return new Promise(function (resolve, reject) {
+        const archive = new DebArchive(options);
+        const chunks = [];
+        archive.on("data", function (chunk) {
+          chunks.push(chunk);
+        });
+        archive.on("end", function () {
+          resolve(Buffer.concat(chunks));
+        });
+        archive.on("error", reject);
+        build(archive);
+        archive.finalize();
+      });
+    }
+    function readTar(buffer) {
+      return new Promise(function (resolve, reject) {
+        const extract = tarStream.extract();
+        const entries = {};
+        extract.on("entry", function (header, stream, next) {
+          const chunks = [];
+          stream.on("data", function (chunk) {
+            chunks.push(chunk);
+          });
+          stream.on("end", function () {
+            entries[header.name] = {
+              header: header,
+              contents: Buffer.concat(chunks),
+            };
+            next();
+          });
+        });
+        extract.on("finish", function () {
+          resolve(entries);
+        });
+        extract.on("error", reject);
+        extract.end(zlib.gunzipSync(buffer));
+      });
+    }
+    it("should build packages", async function () {
+      const members = readAr(
+        await build(
+          {
+            control: {
+              Package: "agent",
+              Version: "1.0.0",
+              Architecture: "amd64",
+              Maintainer: "Ops <ops@example.com>",
+              Depends: ["libc6", "adduser"],
+              Description: "Monitoring agent\nCollects metrics.\n\nAnd more.",
+            },
+            scripts: { postinst: "#!/bin/sh\nexit 0\n" },
+            conffiles: ["/etc/agent.conf"],
+          },
+          function (archive) {
+            archive
+              .append(null, { name: "etc/" })
+              .append("key: value\n", { name: "etc/agent.conf" })
+              .append(testBuffer, { name: "usr/bin/agent", mode: 0o755 })
+              .symlink("usr/bin/agent-link", "agent");
+          },
+        ),
+      );
+      assert.deepEqual(
+        members.map(function (member) {
+          return member.name;
+        }),
+        ["debian-binary", "control.tar.gz", "data.tar.gz"],
+      );
+      assert.equal(members[0].contents.toString(), "2.0\n");
+      const control = await readTar(members[1].contents);
+      assert.deepEqual(Object.keys(control), [
+        "./control",
+        "./md5sums",
+        "./postinst",
+        "./conffiles",
+      ]);
+      assert.equal(
+        control["./control"].contents.toString(),
+        "Package: agent\n" +
+          "Version: 1.0.0\n" +
+          "Architecture: amd64\n" +
+          "Installed-Size: 22\n" +
+          "Maintainer: Ops <ops@example.com>\n" +
+          "Depends: libc6, adduser\n" +
+          "Description: Monitoring agent\n" +
+          " Collects metrics.\n" +
+          " .\n" +
+          " And more.\n",
+      );
+      assert.equal(control["./postinst"].header.mode, 0o755);
+      assert.equal(
+        control["./conffiles"].contents.toString(),
+        "/etc/agent.conf\n",
+      );
+      assert.equal(
+        control["./md5sums"].contents.toString(),
+        crypto.createHash("md5").update("key: value\n").digest("hex") +
+          "  etc/agent.conf\n" +
+          crypto.createHash("md5").update(testBuffer).digest("hex") +
+          "  usr/bin/agent\n",
+      );
+      const data = await readTar(members[2].contents);
+      assert.deepEqual(Object.keys(data), [
+        "./",
+        "./etc/",
+        "./etc/agent.conf",
+        "./usr/",
+        "./usr/bin/",
+        "./usr/bin/agent",
+        "./usr/bin/agent-link",
+      ]);
+      assert.equal(data["./usr/bin/agent-link"].header.linkname, "agent");
+    });
+    it("should write the parent directories of entries", async function () {
+      const members = readAr(
+        await build(
+          {
+            control: {
+              Package: "foo",
+              Version: "1.0.0",
+              Architecture: "all",
+              Maintainer: "Ops <ops@example.com>",
+              Description: "Foo",
+            },
+          },
+          function (archive) {
+            archive.directory("test/fixtures/directory", "opt/foo");
+          },
+        ),
+      );
+      const data = await readTar(members[2].contents);
+      const names = Object.keys(data);
+      assert.deepEqual(names.slice(0, 3), ["./", "./opt/", "./opt/foo/"]);
+      for (const name of names.slice(1)) {
+        const parent = name.replace(/[^/]+\/?$/, "");
+        assert.isBelow(names.indexOf(parent), names.indexOf(name), name);
+      }
+      for (const name of ["./", "./opt/", "./opt/foo/"]) {
+        assert.equal(data[name].header.type, "directory");
+        assert.equal(data[name].header.mode, 0o755);
+        assert.equal(data[name].header.uid, 0);
+        assert.equal(data[name].header.uname, "root");
+      }
+    });
+    it("should throw on a missing control field", function () {
+      assert.throws(function () {
+        new DebArchive({ control: { Package: "agent" } });
+      }, /deb control is missing a required field/);
+    });
+  });
+  describe("json", function () {
+    function collect(archive) {
+      const chunks = [];
+      archive.on("data", function (chunk) {
+        chunks.push(chunk);
+      });
+      return function () {
+        return Buffer.concat(chunks).toString();
+      };
+    }
+    it("should write a line per entry as it is appended", async function () {
+      const archive = new JsonArchive({ format: "ndjson" });
+      const output = collect(archive);
+      archive.append(testBuffer, { name: "buffer.txt", date: testDate });
+      await new Promise(function (resolve) {
+        archive.once("entry", resolve);
+      });
+      await new Promise(setImmediate);
+      assert.equal(JSON.parse(output()).name, "buffer.txt");
+      archive.append(createReadStream("test/fixtures/test.txt"), {
+        name: "stream.txt",
+        date: testDate,
+      });
+      await archive.finalize();
+      const lines = output().split("\n");
+      assert.equal(lines.pop(), "");
+      const entries = lines.map(function (line) {
+        return JSON.parse(line);
+      });
+      assert.deepEqual(
+        entries.map(function (entry) {
+          return entry.name;
+        }),
+        ["buffer.txt", "stream.txt"],
+      );
+      assert.propertyVal(entries[0], "crc32", 3893830384);
+      assert.propertyVal(entries[1], "crc32", 585446183);
+      assert.propertyVal(entries[1], "size", 19);
+    });
+    it("should stream the array as entries are appended", async function () {
+      const archive = new JsonArchive({ streaming: true });
+      const output = collect(archive);
+      archive
+        .append(testBuffer, { name: "buffer.txt", date: testDate })
+        .append(createReadStream("test/fixtures/test.txt"), {
+          name: "stream.txt",
+          date: testDate,
+        });
+      await new Promise(function (resolve) {
+        archive.once("entry", resolve);
+      });
+      await new Promise(setImmediate);
+      assert.match(output(), /^\[\{"type":"file","name":"buffer.txt"/);
+      await archive.finalize();
+      const entries = JSON.parse(output());
+      assert.lengthOf(entries, 2);
+      assert.propertyVal(entries[1], "crc32", 585446183);
+    });
+    it("should write an empty streamed array", async function () {
+      const archive = new JsonArchive({ streaming: true });
+      const output = collect(archive);
+      await archive.finalize();
+      assert.equal(output(), "[]");
+    });
+    it("should throw on an unknown format", function () {
+      assert.throws(function () {
+        new JsonArchive({ format: "yaml" });
+      }, /json format must be one of/);
+    });
+  });
+  describe("deterministic", function () {
+    function build(Archive, filepath, options) {
+      return new Promise(function (resolve, reject) {
+        const archive = new Archive({ deterministic: true, ...options });
+        const testStream = new WriteStream(filepath);
+        testStream.on("close", function () {
+          resolve(readFileSync(filepath));
+        });
+        archive.on("error", reject);
+        archive.pipe(testStream);
+        archive
+          .append("cheese", { name: "string.txt" })
+          .directory("test/fixtures/directory", "directory")
+          .glob("**/*.txt", { cwd: "test/fixtures/directory/subdir" })
+          .finalize();
+      });
+    }
+    it("should produce identical zip archives", async function () {
+      const first = await build(ZipArchive, "tmp/deterministic-1.zip");
+      const second = await build(ZipArchive, "tmp/deterministic-2.zip");
+      assert.isTrue(first.equals(second));
+    });
+    it("should produce identical gzipped tar archives", async function () {
+      const first = await build(TarArchive, "tmp/deterministic-1.tgz", {
+        gzip: true,
+      });
+      const second = await build(TarArchive, "tmp/deterministic-2.tgz", {
+        gzip: true,
+      });
+      assert.isTrue(first.equals(second));
+      assert.equal(first.readUInt32LE(4), 0);
+      assert.equal(first[9], 255);
+    });
+    it("should sort and normalize directory entries", async function () {
+      const previous = process.env.SOURCE_DATE_EPOCH;
+      process.env.SOURCE_DATE_EPOCH = "1357223198";
+      try {
+        await build(TarArchive, "tmp/deterministic.tar");
+      } finally {
+        if (previous === undefined) {
+          delete process.env.SOURCE_DATE_EPOCH;
+        } else {
+          process.env.SOURCE_DATE_EPOCH = previous;
+        }
+      }
+      const entries = [];
+      await tar.t({
+        file: "tmp/deterministic.tar",
+        onentry: function (entry) {
+          entries.push(entry);
+        },
+      });
+      const names = entries.map(function (entry) {
+        return entry.path;
+      });
+      const directoryNames = names.filter(function (name) {
+        return name.indexOf("directory/") === 0;
+      });
+      assert.equal(names[0], "string.txt");
+      assert.deepEqual(directoryNames, directoryNames.slice().sort());
+      entries.forEach(function (entry) {
+        assert.equal(entry.mtime.getTime(), testDate.getTime());
+        assert.equal(entry.uid, 0);
+        assert.equal(entry.gid, 0);
+      });
+      assert.equal(
+        entries[1].mode,
+        entries[1].type === "Directory" ? 493 : 420,
+      );
+    });
   });
 });
@@ -0,0 +1,169 @@
+import {
+  createReadStream,
+  createWriteStream,
+  readFileSync,
+  statSync,
+} from "fs";
+import { assert } from "chai";
+import { mkdirp } from "mkdirp";
+import { ArchiveReader, TarArchive, ZipArchive } from "../index.js";
+import { binaryBuffer } from "./helpers/index.js";
+import crc32 from "buffer-crc32";
+import { Readable } from "readable-stream";
+
+const testBuffer = binaryBuffer(1024 * 16);
+const testDate = new Date("Jan 03 2013 14:26:38 GMT");
+const win32 = process.platform === "win32";
+
+function writeArchive(archive, filepath) {
+  return new Promise(function (resolve, reject) {
+    const output = createWriteStream(filepath);
+    output.on("close", resolve);
+    archive.on("error", reject);
+    archive.pipe(output);
+    archive
+      .append(testBuffer, { name: "buffer.bin", date: testDate })
+      .append(Readable.from([testBuffer]), {
+        name: "stream.bin",
+        date: testDate,
+      })
+      .append("", { name: "empty.txt", date: testDate })
+      .append(null, { name: "directory/", date: testDate })
+      .symlink("link.txt", "buffer.bin", 420)
+      .file("test/fixtures/executable.sh", {
+        name: "executable.sh",
+        date: testDate,
+      })
+      .finalize();
+  });
+}
+
+function readAll(reader) {
+  return (async function () {
+    const entries = {};
+    for await (const { data, stream } of reader) {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      entries[data.name] = { data: data, content: Buffer.concat(chunks) };
+    }
+    return entries;
+  })();
+}
+
+function assertEntries(entries, streamed) {
+  assert.deepEqual(Object.keys(entries), [
+    "buffer.bin",
+    "stream.bin",
+    "empty.txt",
+    "directory/",
+    "link.txt",
+    "executable.sh",
+  ]);
+  const buffer = entries["buffer.bin"];
+  assert.equal(buffer.data.type, "file");
+  assert.equal(buffer.data.size, testBuffer.length);
+  assert.equal(buffer.data.date.getTime(), testDate.getTime());
+  assert.equal(buffer.data.crc32, crc32.unsigned(testBuffer));
+  assert.deepEqual(buffer.content, testBuffer);
+  assert.deepEqual(entries["stream.bin"].content, testBuffer);
+  assert.equal(entries["empty.txt"].data.size, 0);
+  assert.equal(entries["directory/"].data.type, "directory");
+  if (streamed) {
+    assert.deepEqual(entries["link.txt"].content, Buffer.from("buffer.bin"));
+  } else {
+    assert.equal(entries["link.txt"].data.type, "symlink");
+    assert.equal(entries["link.txt"].data.linkname, "buffer.bin");
+  }
+  if (!win32 && !streamed) {
+    assert.equal(
+      entries["executable.sh"].data.mode,
+      statSync("test/fixtures/executable.sh").mode & 4095,
+    );
+  }
+  assert.deepEqual(
+    entries["executable.sh"].content,
+    readFileSync("test/fixtures/executable.sh"),
+  );
+}
+
+describe("reader", function () {
+  before(async function () {
+    mkdirp.sync("tmp");
+    await writeArchive(new ZipArchive(), "tmp/reader.zip");
+    await writeArchive(
+      new ZipArchive({ forceZip64: true }),
+      "tmp/reader64.zip",
+    );
+    await writeArchive(new TarArchive(), "tmp/reader.tar");
+    await writeArchive(new TarArchive({ gzip: true }), "tmp/reader.tgz");
+  });
+  describe("zip", function () {
+    it("should read entries from a filepath", async function () {
+      assertEntries(await readAll(new ArchiveReader("tmp/reader.zip")));
+    });
+    it("should read entries from a buffer", async function () {
+      const buf = readFileSync("tmp/reader.zip");
+      assertEntries(await readAll(new ArchiveReader(buf)));
+    });
+    it("should read entries from a stream", async function () {
+      const stream = createReadStream("tmp/reader.zip");
+      assertEntries(await readAll(new ArchiveReader(stream)), true);
+    });
+    it("should read zip64 entries from a filepath and a stream", async function () {
+      assertEntries(await readAll(new ArchiveReader("tmp/reader64.zip")));
+      const stream = createReadStream("tmp/reader64.zip");
+      assertEntries(await readAll(new ArchiveReader(stream)), true);
+    });
+    it("should skip entries whose content is not read", async function () {
+      const stream = createReadStream("tmp/reader.zip");
+      const names = [];
+      for await (const { data } of new ArchiveReader(stream)) {
+        names.push(data.name);
+      }
+      assert.lengthOf(names, 6);
+    });
+    it("should error on corrupted content", async function () {
+      const archive = new ZipArchive({ store: true });
+      const chunks = [];
+      archive.on("data", (chunk) => chunks.push(chunk));
+      archive.append(Buffer.from("original"), { name: "a.txt" });
+      await archive.finalize();
+      const corrupted = Buffer.concat(chunks);
+      corrupted[corrupted.indexOf("original")] = 0x4f;
+      try {
+        await new ArchiveReader(corrupted).list();
+        assert.fail("should have errored");
+      } catch (err) {
+        assert.equal(err.code, "ENTRYCORRUPTED");
+        assert.equal(err.data.name, "a.txt");
+      }
+    });
+  });
+  describe("tar", function () {
+    it("should read entries from a filepath", async function () {
+      assertEntries(await readAll(new ArchiveReader("tmp/reader.tar")));
+    });
+    it("should read entries from a gzipped stream", async function () {
+      const stream = createReadStream("tmp/reader.tgz");
+      assertEntries(await readAll(new ArchiveReader(stream)));
+    });
+  });
+  describe("#list", function () {
+    it("should list entry data", async function () {
+      const entries = await new ArchiveReader("tmp/reader.tgz").list();
+      assert.lengthOf(entries, 6);
+      assert.equal(entries[0].name, "buffer.bin");
+      assert.equal(entries[0].crc32, crc32.unsigned(testBuffer));
+    });
+    it("should reject unknown formats", async function () {
+      try {
+        await new ArchiveReader(Buffer.from("not an archive")).list();
+        assert.fail("should have errored");
+      } catch (err) {
+        assert.equal(err.code, "FORMATUNKNOWN");
+      }
+    });
+  });
+});